@@ -1,14 +1,31 @@
 import './App.css';
 import Calendar from './Calendar.jsx';
 import KanbanBoard from './Kanbanbord.jsx';
-import React, { useState, useEffect, useCallback } from 'react';
+import EventDrawer from './EventDrawer.jsx';
+import RecurrenceFields from './RecurrenceFields.jsx';
+import RecurrenceScopePrompt from './RecurrenceScopePrompt.jsx';
+import TimeZoneSelect from './TimeZoneSelect.jsx';
+import TimeZoneSettings from './TimeZoneSettings.jsx';
+import IcsExportDialog from './IcsExportDialog.jsx';
+import TaskListSelect from './TaskListSelect.jsx';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faFacebook, faInstagram, faSquareTwitter, faSquareLinkedin } from '@fortawesome/free-brands-svg-icons';
 import { faPhone, faMap, faCity, faLocationArrow, faEnvelope, faArrowPointer } from '@fortawesome/free-solid-svg-icons';
-import { faEnvelopeOpen, faCalendar, faFileLines, faCalendarCheck, faCalendarXmark, faSearch } from '@fortawesome/free-regular-svg-icons';
+import { faEnvelopeOpen, faCalendar, faFileLines, faCalendarCheck, faCalendarXmark, faSearch, faClock } from '@fortawesome/free-regular-svg-icons';
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
-import api from './api';
+import api, { sendKeepalive } from './api';
+import { buildEventPayload, openEventDrawer } from './eventUtils';
+import { expandRecurringEvents, readRecurrenceForm, isRecurringInstance } from './recurrence';
+import { useTimeZones, toZonedTime, formatTimeInZone } from './timeZone';
+import { getEventsForRange, clearEventCache } from './eventCache';
+import { useCalendars, resetCalendars, eventRequestConfig, getEventColor, PRIMARY_CALENDAR_ID } from './calendars';
+import { ymdToDue, getDueStatus, formatDueDate, DUE_STATUS_LABELS, getLabelIds } from './taskUtils';
+import { useLabels, resolveLabels } from './labels';
+import { useTaskLists, resetTaskLists, taskRequestConfig } from './taskLists';
+import { clearOutbox } from './taskOutbox';
+import { deferAction, hasDeferredAction } from './undo';
 import image1 from './assets/1 (1).png';
 import image2 from './assets/2.png';
 import image3 from './assets/3.png';
@@ -28,11 +45,23 @@ const App = () => {
   const [isLoadingEvents, setIsLoadingEvents] = useState(false);
   const [taskText, setTaskText] = useState('');
   const [taskHeading, setTaskHeading] = useState('');
+  const [taskDue, setTaskDue] = useState('');
   const [taskStatus, setTaskStatus] = useState('');
   const [isProfileMenuOpen, setIsProfileMenuOpen] = useState(false);
   const [eventSearchQuery, setEventSearchQuery] = useState('');
   const [eventSortOrder, setEventSortOrder] = useState('asc');
   const [view, setView] = useState('dashboard');
+  const [pendingEventDelete, setPendingEventDelete] = useState(null);
+  const [hiddenEventIds, setHiddenEventIds] = useState(() => new Set()); // deletes waiting behind an undo toast
+  const [isExportOpen, setIsExportOpen] = useState(false);
+  const [newEventTimeZone, setNewEventTimeZone] = useState(null); // null follows the default zone
+  const [newEventAllDay, setNewEventAllDay] = useState(false);
+  const createFormRef = useRef(null);
+  const { timeZone, secondaryTimeZone } = useTimeZones();
+  const { calendars } = useCalendars();
+  const { selectedTaskListId } = useTaskLists();
+  const labels = useLabels();
+  const [taskLabelFilter, setTaskLabelFilter] = useState(''); // label id, or '' for every task
 
 
   const loadTasks = useCallback(async () => {
@@ -48,7 +77,7 @@ const App = () => {
     }
 
     try {
-      const res = await api.get('/tasks/', { withCredentials: true });
+      const res = await api.get('/tasks/', taskRequestConfig(selectedTaskListId));
       const tasks = res.data?.tasks ?? res.data ?? [];
       if (!Array.isArray(tasks) || tasks.length === 0) {
         const empty = document.createElement('div');
@@ -59,6 +88,10 @@ const App = () => {
       }
       tasks.forEach((t) => {
         const id = t?.id ?? t?.task_id ?? t?.taskId;
+        // Its delete is still waiting behind an undo toast
+        if (hasDeferredAction(`task:${id}`)) return;
+        const labelIds = getLabelIds(t?.notes);
+        if (taskLabelFilter && !labelIds.includes(taskLabelFilter)) return;
         const title = t?.title ?? t?.name ?? '(no title)';
         const completed = t?.status === 'completed' || t?.completed === true;
 
@@ -76,6 +109,28 @@ const App = () => {
           label.style.color = '#9ca3af';
         }
 
+        let labelChips = null;
+        if (labelIds.length > 0) {
+          labelChips = document.createElement('span');
+          labelChips.className = 'task-labels';
+          resolveLabels(labelIds, labels).forEach((taskLabel) => {
+            const chip = document.createElement('span');
+            chip.className = 'task-label';
+            chip.style.backgroundColor = taskLabel.color;
+            chip.textContent = taskLabel.name;
+            labelChips.appendChild(chip);
+          });
+        }
+
+        // Completed tasks show their due date without a badge
+        let due = null;
+        if (t?.due) {
+          const status = completed ? null : getDueStatus(t.due);
+          due = document.createElement('span');
+          due.className = `task-due ${status ?? ''}`;
+          due.textContent = status ? `${formatDueDate(t.due)} · ${DUE_STATUS_LABELS[status]}` : formatDueDate(t.due);
+        }
+
         const actions = document.createElement('div');
         actions.style.marginLeft = 'auto';
         actions.style.display = 'flex';
@@ -95,7 +150,7 @@ const App = () => {
           taskDoneBtn.title = 'Mark task as done';
           taskDoneBtn.onclick = async () => {
             try {
-              await api.put(`/tasks/${id}/complete`, {}, { withCredentials: true });
+              await api.put(`/tasks/${id}/complete`, {}, taskRequestConfig(selectedTaskListId));
               // Remove button after marking as done
               taskDoneContainer.innerHTML = '';
               label.style.textDecoration = 'line-through';
@@ -114,23 +169,39 @@ const App = () => {
         del.className = 'save-btn';
         del.textContent = 'Delete';
         del.title = 'Delete task';
-        del.onclick = async () => {
-          try {
-            await api.delete(`/tasks/${id}`, { withCredentials: true });
-            row.remove();
-            toast.success('Task deleted.');
-            // Trigger Kanban sync
-            window.dispatchEvent(new CustomEvent('kanban-task-deleted'));
-          } catch (error) {
-            const message = error.response?.data?.detail ?? error.message ?? 'Failed to delete task';
-            toast.error(message);
-          }
+        // The row hides right away; the delete waits behind an undo toast
+        const showRow = () => {
+          if (row.isConnected) row.style.display = 'flex';
+          else loadTasks();
+        };
+        del.onclick = () => {
+          row.style.display = 'none';
+          deferAction({
+            key: `task:${id}`,
+            message: `Deleted "${title}"`,
+            commit: async () => {
+              try {
+                await api.delete(`/tasks/${id}`, taskRequestConfig(selectedTaskListId));
+                row.remove();
+                // Trigger Kanban sync
+                window.dispatchEvent(new CustomEvent('kanban-task-deleted'));
+              } catch (error) {
+                showRow();
+                const message = error.response?.data?.detail ?? error.message ?? 'Failed to delete task';
+                toast.error(message);
+              }
+            },
+            commitOnUnload: () => sendKeepalive('DELETE', `/tasks/${id}`, taskRequestConfig(selectedTaskListId).params),
+            undo: showRow,
+          });
         };
 
         actions.appendChild(taskDoneContainer);
         actions.appendChild(del);
 
         row.appendChild(label);
+        if (labelChips) row.appendChild(labelChips);
+        if (due) row.appendChild(due);
         row.appendChild(actions);
         container.appendChild(row);
       });
@@ -138,7 +209,7 @@ const App = () => {
       const message = error.response?.data?.detail ?? error.message ?? 'Failed to load tasks';
       toast.error(message);
     }
-  }, [isAuthenticated]);
+  }, [isAuthenticated, selectedTaskListId, taskLabelFilter, labels]);
 
   const authBaseUrl = api.defaults.baseURL ?? 'http://localhost:8000';
 
@@ -207,6 +278,10 @@ const App = () => {
     } finally {
       // Clear Kanban board data from localStorage
       localStorage.removeItem('kanban_board_data');
+      clearEventCache();
+      resetCalendars();
+      resetTaskLists();
+      clearOutbox();
 
       setIsAuthenticated(false);
       setUserEmail('');
@@ -355,7 +430,7 @@ const App = () => {
     };
   }, [isProfileMenuOpen]);
 
-  const refreshUpcomingEvents = useCallback(async () => {
+  const refreshUpcomingEvents = useCallback(async ({ silent = false } = {}) => {
     if (!isAuthenticated) {
       setUpcomingEvents([]);
       setEventsError('');
@@ -366,11 +441,15 @@ const App = () => {
     setIsLoadingEvents(true);
     setEventsError('');
     try {
-      const res = await api.get('/calendar/events', { withCredentials: true });
-      const events = res.data?.events ?? res.data ?? [];
       const now = new Date();
       const end = new Date(now);
       end.setDate(end.getDate() + 31);
+      // Shares the Calendar's month cache; ranges there are wall-clock times in the default zone
+      const rangeStart = toZonedTime(now);
+      const rangeEnd = toZonedTime(end);
+      const rawEvents = await getEventsForRange(rangeStart, rangeEnd);
+      // Recurring series show once per occurrence
+      const events = expandRecurringEvents(rawEvents, rangeStart, rangeEnd);
 
       const filtered = events
         .map((event) => {
@@ -381,15 +460,16 @@ const App = () => {
           const date = isAllDay ? new Date(`${raw}T00:00:00`) : new Date(raw);
           if (Number.isNaN(date.getTime())) return null;
 
-          const labelDate = date.toLocaleDateString();
-          const labelTime = isAllDay ? '' : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
           const title = event?.summary ?? event?.title ?? '(no title)';
           const dateValue = date.getTime();
 
           return {
             id: event?.id ?? event?.eventId ?? `${title}-${date.toISOString()}`,
-            label: `${labelDate}${labelTime ? ` ${labelTime}` : ''} - ${title}`,
+            title,
+            date,
+            isAllDay,
             dateValue,
+            event,
           };
         })
         .filter(Boolean)
@@ -399,10 +479,13 @@ const App = () => {
       setUpcomingEvents(filtered);
       setEventsError('');
 
-      if (filtered.length === 0) {
-        toast.info('No events in the next month.');
-      } else {
-        toast.success(`Loaded ${filtered.length} upcoming event${filtered.length === 1 ? '' : 's'}.`);
+      // Background refreshes after a change made elsewhere stay quiet
+      if (!silent) {
+        if (filtered.length === 0) {
+          toast.info('No events in the next month.');
+        } else {
+          toast.success(`Loaded ${filtered.length} upcoming event${filtered.length === 1 ? '' : 's'}.`);
+        }
       }
     } catch (error) {
       console.error('Failed to load events:', error);
@@ -444,7 +527,8 @@ const App = () => {
         const res = await api.post(url, {
           "title": head,
           "notes": text,
-          "task_list_id": "@default"
+          "task_list_id": selectedTaskListId,
+          ...(taskDue ? { "due": ymdToDue(taskDue) } : {})
         }, { withCredentials: true });
         if (res && res.status >= 200 && res.status < 300) {
           saved = true;
@@ -459,6 +543,7 @@ const App = () => {
       setTaskStatus('Task saved successfully.');
       setTaskText('');
       setTaskHeading('');
+      setTaskDue('');
       toast.success('Task saved successfully.');
       await loadTasks();
       // Trigger Kanban sync
@@ -516,35 +601,116 @@ const App = () => {
     }
   }, [isAuthenticated, refreshUpcomingEvents, loadTasks]);
 
+  // Keep Upcoming Events current when events change in the calendar or the drawer
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    const handleEventChange = () => refreshUpcomingEvents({ silent: true });
+    window.addEventListener('calendar-event-added', handleEventChange);
+    window.addEventListener('calendar-event-updated', handleEventChange);
+    window.addEventListener('calendar-event-deleted', handleEventChange);
+    // Showing or hiding a calendar changes which events are listed
+    window.addEventListener('calendars-changed', handleEventChange);
+
+    return () => {
+      window.removeEventListener('calendar-event-added', handleEventChange);
+      window.removeEventListener('calendar-event-updated', handleEventChange);
+      window.removeEventListener('calendar-event-deleted', handleEventChange);
+      window.removeEventListener('calendars-changed', handleEventChange);
+    };
+  }, [isAuthenticated, refreshUpcomingEvents]);
+
+  // The calendar's quick-create popover hands its values over to the full form
+  useEffect(() => {
+    const handleOpenCreateForm = (e) => {
+      const form = createFormRef.current;
+      if (!form) return;
+      const values = e.detail?.values ?? {};
+      form.reset();
+      ['summary', 'startDate', 'startTime', 'endDate', 'endTime', 'description', 'attendees', 'location'].forEach((name) => {
+        if (form.elements[name] && values[name]) form.elements[name].value = values[name];
+      });
+      setNewEventAllDay(Boolean(values.allDay));
+      setNewEventTimeZone(values.timeZone || null);
+      form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      form.elements.summary?.focus({ preventScroll: true });
+    };
+
+    window.addEventListener('open-create-form', handleOpenCreateForm);
+    return () => window.removeEventListener('open-create-form', handleOpenCreateForm);
+  }, []);
+
+  // Labels follow the time zone preferences, so they are built at render time
+  const formatUpcomingLabel = ({ title, date, isAllDay }) => {
+    if (isAllDay) return `${date.toLocaleDateString()} - ${title}`;
+    const zoned = toZonedTime(date, timeZone);
+    const labelTime = zoned.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const secondaryTime = secondaryTimeZone ? ` (${formatTimeInZone(date, secondaryTimeZone)})` : '';
+    return `${zoned.toLocaleDateString()} ${labelTime}${secondaryTime} - ${title}`;
+  };
+
   const normalizedEventQuery = eventSearchQuery.trim().toLowerCase();
   const visibleEvents = upcomingEvents
+    .filter(({ id, event }) => !hiddenEventIds.has(id) && !hiddenEventIds.has(event?.recurringEventId))
+    .map((item) => ({ ...item, label: formatUpcomingLabel(item) }))
     .filter(({ label }) => label.toLowerCase().includes(normalizedEventQuery))
     .slice()
     .sort((a, b) => (eventSortOrder === 'asc' ? a.dateValue - b.dateValue : b.dateValue - a.dateValue));
   const hasEvents = upcomingEvents.length > 0;
   const hasVisibleEvents = visibleEvents.length > 0;
 
+  const closeExport = useCallback(() => setIsExportOpen(false), []);
+
   const toggleEventSortOrder = () => {
     setEventSortOrder((prev) => (prev === 'asc' ? 'desc' : 'asc'));
   };
 
-  const deleteEvent = async (eventId) => {
+  const setEventHidden = (eventId, hidden) => {
+    setHiddenEventIds((prev) => {
+      const next = new Set(prev);
+      if (hidden) next.add(eventId);
+      else next.delete(eventId);
+      return next;
+    });
+  };
+
+  // The event (or whole series) hides right away; the delete waits behind an undo toast
+  const deleteEvent = (eventId, event) => {
     if (!isAuthenticated) {
       toast.error('Please login first.');
       return;
     }
-    try {
-      await api.delete(`/calendar/events/${eventId}`, { withCredentials: true });
-      toast.success('Event deleted successfully.');
-      // Refresh the events list
-      refreshUpcomingEvents();
-      // Trigger Kanban sync
-      window.dispatchEvent(new CustomEvent('kanban-event-deleted'));
-    } catch (error) {
-      console.error('Failed to delete event:', error);
-      const message = error.response?.data?.detail ?? error.message ?? 'Failed to delete event';
-      toast.error(message);
+    setEventHidden(eventId, true);
+    deferAction({
+      key: `event:${eventId}`,
+      message: `Deleted "${event?.summary || '(No title)'}"`,
+      commit: async () => {
+        try {
+          await api.delete(`/calendar/events/${eventId}`, eventRequestConfig(event));
+          // Trigger Kanban sync (this also drops the cached months holding the event)
+          window.dispatchEvent(new CustomEvent('kanban-event-deleted', { detail: { eventId, event } }));
+          // Refresh the events list
+          await refreshUpcomingEvents();
+        } catch (error) {
+          console.error('Failed to delete event:', error);
+          const message = error.response?.data?.detail ?? error.message ?? 'Failed to delete event';
+          toast.error(message);
+        } finally {
+          setEventHidden(eventId, false);
+        }
+      },
+      commitOnUnload: () => sendKeepalive('DELETE', `/calendar/events/${eventId}`, eventRequestConfig(event).params),
+      undo: () => setEventHidden(eventId, false),
+    });
+  };
+
+  // Occurrences of a series ask whether to delete just this one or all of them
+  const requestDeleteEvent = (id, event) => {
+    if (isRecurringInstance(event)) {
+      setPendingEventDelete({ id, event });
+      return;
     }
+    deleteEvent(id, event);
   };
 
   const userInitial = (userName || userEmail || '?').charAt(0).toUpperCase();
@@ -552,6 +718,26 @@ const App = () => {
   return (
     <div className="dashboard-container">
       <ToastContainer position="top-right" autoClose={4000} pauseOnHover />
+      <EventDrawer isAuthenticated={isAuthenticated} />
+      {pendingEventDelete && (
+        <RecurrenceScopePrompt
+          action="delete"
+          onChoose={(scope) => {
+            const { id, event } = pendingEventDelete;
+            setPendingEventDelete(null);
+            deleteEvent(scope === 'all' ? event.recurringEventId : id, event);
+          }}
+          onCancel={() => setPendingEventDelete(null)}
+        />
+      )}
+      {isExportOpen && (
+        <IcsExportDialog
+          events={visibleEvents.map(({ event }) => event)}
+          label={normalizedEventQuery ? `Search results for "${eventSearchQuery.trim()}"` : 'Upcoming events'}
+          filename="eventx-upcoming"
+          onClose={closeExport}
+        />
+      )}
       {/* Navigation */}
       <nav className="navbar">
         <div className="nav-links">
@@ -635,6 +821,7 @@ const App = () => {
             <section className="card-section">
               <h2>Create Event</h2>
               <form
+                ref={createFormRef}
                 className="card create-event-card"
                 onSubmit={async (e) => {
                   e.preventDefault();
@@ -644,70 +831,32 @@ const App = () => {
                     return;
                   }
                   const fd = new FormData(form);
-                  const summary = (fd.get('summary') || '').toString().trim();
-                  const description = (fd.get('description') || '').toString().trim();
-                  const location = (fd.get('location') || '').toString().trim();
-                  const attendeesRaw = (fd.get('attendees') || '').toString();
-                  const startDate = (fd.get('startDate') || '').toString();
-                  const endDateInput = (fd.get('endDate') || '').toString();
-                  const startTimeInput = (fd.get('startTime') || '').toString();
-                  const endTimeInput = (fd.get('endTime') || '').toString();
-
-                  const normalizeTime = (value) => {
-                    const trimmed = (value || '').toString().trim();
-                    if (!trimmed) {
-                      return '00:00:00';
-                    }
-                    return trimmed.length === 5 ? `${trimmed}:00` : trimmed;
-                  };
-
-                  if (!summary || !startDate) {
-                    toast.warn('Please enter event summary and start date.');
+                  const { payload: eventPayload, error: validationError } = buildEventPayload({
+                    summary: fd.get('summary'),
+                    description: fd.get('description'),
+                    location: fd.get('location'),
+                    attendees: fd.get('attendees'),
+                    startDate: fd.get('startDate'),
+                    endDate: fd.get('endDate'),
+                    startTime: fd.get('startTime'),
+                    endTime: fd.get('endTime'),
+                    allDay: fd.get('allDay') === 'on',
+                    timeZone: fd.get('timeZone'),
+                    calendarId: fd.get('calendarId'),
+                    repeat: readRecurrenceForm(fd),
+                  });
+
+                  if (validationError) {
+                    toast.warn(validationError);
                     return;
                   }
 
-                  const startTime = normalizeTime(startTimeInput);
-                  const startDateTime = `${startDate}T${startTime}`;
-
-                  let endDate = endDateInput || startDate;
-                  let endTime = normalizeTime(endTimeInput || startTimeInput);
-
-                  const startInstant = new Date(`${startDate}T${startTime}`);
-                  let endInstant = new Date(`${endDate}T${endTime}`);
-
-                  if (Number.isNaN(startInstant.getTime())) {
-                    toast.warn('Please enter a valid start date and time.');
-                    return;
-                  }
-
-                  if (Number.isNaN(endInstant.getTime()) || endInstant < startInstant) {
-                    endDate = startDate;
-                    endTime = startTime;
-                    endInstant = new Date(`${endDate}T${endTime}`);
-                  }
-
-                  const endDateTime = `${endDate}T${endTime}`;
-
-                  const attendees = attendeesRaw
-                    .split(/[,;\s]+/)
-                    .map((e) => e.trim())
-                    .filter(Boolean);
-
-                  const eventPayload = {
-                    summary,
-                    start_datetime: startDateTime,
-                    end_datetime: endDateTime,
-                    description,
-                    location,
-                    attendees,
-                    timezone: 'IST',
-                  };
-
                   const endpointsToTry = [
                     '/calendar/events',
                   ];
 
                   let created = false;
+                  let createdEvent = null;
                   let lastError = null;
 
                   for (const url of endpointsToTry) {
@@ -715,6 +864,7 @@ const App = () => {
                       const res = await api.post(url, eventPayload, { withCredentials: true });
                       if (res && (res.status >= 200 && res.status < 300)) {
                         created = true;
+                        createdEvent = res.data?.event ?? res.data;
                         break;
                       }
                     } catch (err) {
@@ -725,12 +875,16 @@ const App = () => {
                   if (created) {
                     toast.success('Event created successfully.');
                     form.reset();
+                    setNewEventTimeZone(null);
+                    setNewEventAllDay(false);
                     setEventSearchQuery('');
                     setEventSortOrder('asc');
+                    // Trigger Kanban sync (this also drops the cached months the event lands in)
+                    window.dispatchEvent(new CustomEvent('kanban-event-added', {
+                      detail: { eventId: createdEvent?.id, event: createdEvent },
+                    }));
                     // Auto-refresh upcoming events list
                     refreshUpcomingEvents();
-                    // Trigger Kanban sync
-                    window.dispatchEvent(new CustomEvent('kanban-event-added'));
                   } else {
                     const msg =
                       lastError?.response?.data?.detail ||
@@ -749,14 +903,43 @@ const App = () => {
                   <FontAwesomeIcon icon={faCalendarCheck} /><span>StartEvent:</span>
                   <input className="startDate" name="startDate" type="date" />
                   <span>StartTime:</span>
-                  <input className="startTime" name="startTime" type="time" />
+                  <input className="startTime" name="startTime" type="time" disabled={newEventAllDay} />
+                  <label className="all-day-toggle">
+                    <input
+                      name="allDay"
+                      type="checkbox"
+                      checked={newEventAllDay}
+                      onChange={(e) => setNewEventAllDay(e.target.checked)}
+                    />
+                    All day
+                  </label>
                 </div>
                 <div className="input-row">
                   <FontAwesomeIcon icon={faCalendarCheck} /><span>End Event:</span>
                   <input className="endDate" name="endDate" type="date" />
                   <span>End Time:</span>
-                  <input className="endTime" name="endTime" type="time" />
+                  <input className="endTime" name="endTime" type="time" disabled={newEventAllDay} />
+                </div>
+                {calendars.length > 1 && (
+                  <div className="input-row">
+                    <FontAwesomeIcon icon={faCalendar} /><span>Calendar:</span>
+                    <select name="calendarId" defaultValue={PRIMARY_CALENDAR_ID}>
+                      {calendars.filter((calendar) => !calendar.readOnly).map((calendar) => (
+                        <option key={calendar.id} value={calendar.id}>{calendar.summary}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                <div className="input-row">
+                  <FontAwesomeIcon icon={faClock} /><span>Time Zone:</span>
+                  <TimeZoneSelect
+                    name="timeZone"
+                    value={newEventTimeZone ?? timeZone}
+                    onChange={setNewEventTimeZone}
+                    title="Time zone of the start and end times"
+                  />
                 </div>
+                <RecurrenceFields />
                 <div className="input-row">
                   <FontAwesomeIcon icon={faFileLines} /><input name="description" type="text" placeholder="Description" />
                 </div>
@@ -792,6 +975,7 @@ const App = () => {
             <section className="card-section">
               <h2>Calendar</h2>
               <div className="card calendar-card">
+                <TimeZoneSettings />
                 <Calendar />
               </div>
             </section>
@@ -834,6 +1018,15 @@ const App = () => {
                               >
                                 Sort: {eventSortOrder === 'asc' ? 'Asc' : 'Desc'}
                               </button>
+                              <button
+                                type="button"
+                                className="save-btn upcoming-sort-toggle"
+                                onClick={() => setIsExportOpen(true)}
+                                disabled={!hasVisibleEvents}
+                                title="Download these events as an .ics file"
+                              >
+                                Export
+                              </button>
                             </div>
                             {!hasEvents ? (
                               <span>No events in the next month</span>
@@ -841,12 +1034,22 @@ const App = () => {
                               <span>No events match your search.</span>
                             ) : (
                               <div className="upcoming-events-list">
-                                {visibleEvents.map(({ id, label }) => (
+                                {visibleEvents.map(({ id, label, event }) => (
                                   <div key={id} className="input-row">
-                                    <span>{label}</span>
+                                    <span
+                                      className="upcoming-event-label"
+                                      role="button"
+                                      tabIndex={0}
+                                      title="View event details"
+                                      onClick={() => openEventDrawer(event)}
+                                      onKeyDown={(e) => e.key === 'Enter' && openEventDrawer(event)}
+                                    >
+                                      <span className="upcoming-event-color" style={{ backgroundColor: getEventColor(event) }}></span>
+                                      {label}
+                                    </span>
                                     <button
                                       type="button"
-                                      onClick={() => deleteEvent(id)}
+                                      onClick={() => requestDeleteEvent(id, event)}
                                       title="Delete event"
                                     >
                                       Delete
@@ -863,7 +1066,23 @@ const App = () => {
                 </div>
                 <div className='taskshow'>
                   <section className='TaskShow'>
-                    <h2>Upcoming Task</h2>
+                    <div className="taskshow-header">
+                      <h2>Upcoming Task</h2>
+                      {isAuthenticated && <TaskListSelect />}
+                      {isAuthenticated && labels.length > 0 && (
+                        <select
+                          className="task-label-filter"
+                          value={taskLabelFilter}
+                          onChange={(e) => setTaskLabelFilter(e.target.value)}
+                          aria-label="Show tasks with label"
+                        >
+                          <option value="">All labels</option>
+                          {labels.map((taskLabel) => (
+                            <option key={taskLabel.id} value={taskLabel.id}>{taskLabel.name}</option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
                     <div className="card taskshow-card">
                       <div id="tasks-container" className="upcoming-events-list" style={{ marginBottom: '8px', backgroundColor: 'transparent', border: 'none', outline: 'none', boxShadow: 'none' }}></div>
                     </div>
@@ -881,6 +1100,15 @@ const App = () => {
                     onChange={(e) => setTaskHeading(e.target.value)}
                   />
                 </div>
+                <div className='input-row task-due-row'>
+                  <label>
+                    Due date
+                    <input type="date"
+                      value={taskDue}
+                      onChange={(e) => setTaskDue(e.target.value)}
+                    />
+                  </label>
+                </div>
                 <textarea
                   id="task-text"
                   placeholder="Write your event Tasks here..."
@@ -920,7 +1148,7 @@ const App = () => {
             </section>
             <section className='kanbanbord full-width'>
               <div className=" kanban-card ">
-                <KanbanBoard isAuthenticated={isAuthenticated} />
+                <KanbanBoard isAuthenticated={isAuthenticated} userEmail={userEmail} />
               </div>
             </section>
             <section className="card-section full-width">
@@ -998,7 +1226,7 @@ const App = () => {
           </>
         ) : (
           <div className="full-width">
-            <KanbanBoard isAuthenticated={isAuthenticated} />
+            <KanbanBoard isAuthenticated={isAuthenticated} userEmail={userEmail} />
           </div>
         )}
       </main >
@@ -1,13 +1,60 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { toast } from 'react-toastify';
 import './Calendar.css';
 import api from './api';
+import TimeGrid from './TimeGrid.jsx';
+import RecurrenceScopePrompt from './RecurrenceScopePrompt.jsx';
+import CalendarList from './CalendarList.jsx';
+import IcsImportDialog from './IcsImportDialog.jsx';
+import IcsExportDialog from './IcsExportDialog.jsx';
+import QuickCreatePopover from './QuickCreatePopover.jsx';
+import { openEventDrawer, getSeriesEvent } from './eventUtils';
+import { getEventsForRange, isRangeCached, prefetchAdjacentMonths } from './eventCache';
+import { useCalendars, eventRequestConfig, getEventColor, toTranslucent } from './calendars';
+import { expandRecurringEvents, isRecurringInstance } from './recurrence';
+import {
+  addDays,
+  toYMD,
+  startOfDay,
+  startOfWeek,
+  getEventStart,
+  isAllDayEvent,
+  shiftEventByDays,
+  withEventTimes,
+  buildEventTimesPayload,
+  addMinutes,
+  eventOverlapsRange,
+  isMultiDayEvent,
+  layoutWeekBars,
+} from './calendarUtils';
+import { useTimeZones, getZonedNow, formatTimeInZone } from './timeZone';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Month cells show at most this many bars and chips before "+N more"
+const MAX_EVENT_ROWS = 3;
+const DAY_NUMBER_HEIGHT = 26;
+const BAR_HEIGHT = 20;
+const QUICK_CREATE_HOUR = 9; // start of events created from a month cell
+
+const formatChipTime = (event) => (
+  event.start?.dateTime ? getEventStart(event).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }) : ''
+);
 
 export default function Calendar() {
-  const [currentDate, setCurrentDate] = useState(new Date());
-  const [selectedDate, setSelectedDate] = useState(new Date()); // Default to today
+  const { timeZone, secondaryTimeZone } = useTimeZones();
+  const { visibleCalendarIds } = useCalendars();
+  const [currentDate, setCurrentDate] = useState(getZonedNow);
+  const [selectedDate, setSelectedDate] = useState(getZonedNow); // Default to today
   const [allEvents, setAllEvents] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [view, setView] = useState('month'); // 'month' | 'week' | 'day'
+  const [draggedEvent, setDraggedEvent] = useState(null);
+  const [dragOverDay, setDragOverDay] = useState(null);
+  const [pendingReschedule, setPendingReschedule] = useState(null); // recurring occurrence awaiting a scope choice
+  const [icsDialog, setIcsDialog] = useState(null); // 'import' | 'export'
+  const [quickCreate, setQuickCreate] = useState(null); // { draft: { start, end, allDay }, anchor: { x, y } }
+  const loadRequest = useRef(0);
 
   const monthNames = [
     'January', 'February', 'March', 'April', 'May', 'June',
@@ -34,8 +81,52 @@ export default function Calendar() {
     setCurrentDate(new Date(currentDate.getFullYear(), currentDate.getMonth() + 1));
   };
 
+  // Step by a month, week or day depending on the active view
+  const navigate = (direction) => {
+    if (view === 'month') {
+      if (direction < 0) prevMonth();
+      else nextMonth();
+      return;
+    }
+    const next = addDays(currentDate, direction * (view === 'week' ? 7 : 1));
+    setCurrentDate(next);
+    if (view === 'day') setSelectedDate(next);
+  };
+
+  const changeView = (nextView) => {
+    if (nextView === view) return;
+    // Week and day views open on the selected date
+    if (nextView !== 'month' && selectedDate) {
+      setCurrentDate(selectedDate);
+    }
+    setView(nextView);
+  };
+
+  const getVisibleDays = () => {
+    if (view === 'day') return [currentDate];
+    const weekStart = startOfWeek(currentDate);
+    return Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+  };
+
+  const getHeaderTitle = () => {
+    if (view === 'day') {
+      return currentDate.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+    }
+    if (view === 'week') {
+      const days = getVisibleDays();
+      const first = days[0];
+      const last = days[days.length - 1];
+      const firstLabel = first.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+      const lastLabel = last.getMonth() === first.getMonth()
+        ? last.getDate()
+        : last.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+      return `${firstLabel} – ${lastLabel}, ${last.getFullYear()}`;
+    }
+    return `${monthNames[currentDate.getMonth()]} ${currentDate.getFullYear()}`;
+  };
+
   const isToday = (day) => {
-    const today = new Date();
+    const today = getZonedNow();
     return (
       day === today.getDate() &&
       currentDate.getMonth() === today.getMonth() &&
@@ -56,88 +147,328 @@ export default function Calendar() {
     setSelectedDate(new Date(currentDate.getFullYear(), currentDate.getMonth(), day));
   };
 
+  const openQuickCreate = useCallback((draft, anchor) => {
+    setSelectedDate(startOfDay(draft.start));
+    setQuickCreate({ draft, anchor });
+  }, []);
+
+  // Double-clicking a month cell proposes a morning slot that day
+  const handleDateDoubleClick = (e, day) => {
+    if (e.target.closest('.calendar-chip, .calendar-day-more')) return;
+    const date = new Date(currentDate.getFullYear(), currentDate.getMonth(), day, QUICK_CREATE_HOUR);
+    openQuickCreate({ start: date, end: addMinutes(date, 60), allDay: false }, { x: e.clientX, y: e.clientY });
+  };
+
+  const renderDay = (date, column, bars, laneCount) => {
+    const day = date.getDate();
+    const hiddenBars = bars.filter((bar) => bar.lane >= laneCount && bar.startCol <= column && column < bar.endCol);
+    const chips = getEventsForDate(date)
+      .filter((event) => !isMultiDayEvent(event))
+      .sort((a, b) => getEventStart(a) - getEventStart(b));
+    const chipSlots = MAX_EVENT_ROWS - laneCount;
+    const hiddenCount = hiddenBars.length + Math.max(chips.length - chipSlots, 0);
+
+    return (
+      <div
+        key={day}
+        className={`calendar-day ${isToday(day) ? 'today' : ''} ${isSelected(day) ? 'selected' : ''} ${dragOverDay === day ? 'drag-over' : ''}`}
+        style={{ gridColumn: column + 1 }}
+        onClick={() => handleDateClick(day)}
+        onDoubleClick={(e) => handleDateDoubleClick(e, day)}
+        onDragOver={(e) => {
+          if (!draggedEvent) return;
+          e.preventDefault();
+          e.dataTransfer.dropEffect = 'move';
+          if (dragOverDay !== day) setDragOverDay(day);
+        }}
+        onDragLeave={() => setDragOverDay((prev) => (prev === day ? null : prev))}
+        onDrop={(e) => onDayDrop(e, day)}
+      >
+        <span className="calendar-day-number">{day}</span>
+        <span className="calendar-day-bar-space" style={{ height: laneCount * BAR_HEIGHT }}></span>
+        {chips.slice(0, Math.max(chipSlots, 0)).map((event, index) => (
+          <button
+            key={event.id || index}
+            type="button"
+            className="calendar-chip"
+            draggable={Boolean(event.id)}
+            onDragStart={(e) => {
+              setDraggedEvent(event);
+              e.dataTransfer.effectAllowed = 'move';
+            }}
+            onDragEnd={() => {
+              setDraggedEvent(null);
+              setDragOverDay(null);
+            }}
+            onClick={(e) => {
+              e.stopPropagation();
+              openEventDrawer(event);
+            }}
+            title={`${formatChipTime(event)} ${event.summary || '(No title)'}`}
+          >
+            <span className="calendar-chip-dot" style={{ backgroundColor: getEventColor(event) }}></span>
+            <span className="calendar-chip-label">
+              {event.start?.dateTime && <span className="calendar-chip-time">{formatChipTime(event)}</span>}
+              {event.summary || '(No title)'}
+            </span>
+          </button>
+        ))}
+        {hiddenCount > 0 && (
+          <button
+            type="button"
+            className="calendar-day-more"
+            onClick={(e) => {
+              e.stopPropagation();
+              handleDateClick(day);
+            }}
+          >
+            +{hiddenCount} more
+          </button>
+        )}
+      </div>
+    );
+  };
+
   const renderCalendar = () => {
     const daysInMonth = getDaysInMonth(currentDate);
     const firstDay = getFirstDayOfMonth(currentDate);
-    const days = [];
+    const cells = [];
 
     for (let i = 0; i < firstDay; i++) {
-      days.push(<div key={`empty-${i}`} className="calendar-day empty"></div>);
+      cells.push(null);
     }
-
     for (let day = 1; day <= daysInMonth; day++) {
-      days.push(
-        <div
-          key={day}
-          className={`calendar-day ${isToday(day) ? 'today' : ''} ${isSelected(day) ? 'selected' : ''}`}
-          onClick={() => handleDateClick(day)}
-        >
-          {day}
+      cells.push(new Date(currentDate.getFullYear(), currentDate.getMonth(), day));
+    }
+    while (cells.length % 7 !== 0) {
+      cells.push(null);
+    }
+
+    const weeks = [];
+    for (let i = 0; i < cells.length; i += 7) {
+      weeks.push(cells.slice(i, i + 7));
+    }
+
+    // Each week is its own grid so bars can span cells; the day cells fill every row
+    // and the bars sit in the lane rows below the day numbers
+    return weeks.map((week, weekIndex) => {
+      const { bars, laneCount } = layoutWeekBars(displayEvents, week);
+      const shownLanes = Math.min(laneCount, MAX_EVENT_ROWS);
+      const rows = [`${DAY_NUMBER_HEIGHT}px`, ...Array(shownLanes).fill(`${BAR_HEIGHT}px`), '1fr'];
+
+      return (
+        <div key={weekIndex} className="calendar-week" style={{ gridTemplateRows: rows.join(' ') }}>
+          {week.map((date, column) => (date
+            ? renderDay(date, column, bars, shownLanes)
+            : <div key={`empty-${column}`} className="calendar-day empty" style={{ gridColumn: column + 1 }}></div>
+          ))}
+          {bars.filter((bar) => bar.lane < shownLanes).map((bar) => (
+            <button
+              key={bar.event.id || `${bar.lane}-${bar.startCol}`}
+              type="button"
+              className={`calendar-bar ${bar.continuesBefore ? 'continues-before' : ''} ${bar.continuesAfter ? 'continues-after' : ''}`}
+              style={{
+                gridColumn: `${bar.startCol + 1} / ${bar.endCol + 1}`,
+                gridRow: bar.lane + 2,
+                backgroundColor: toTranslucent(getEventColor(bar.event), 0.6),
+                borderLeftColor: getEventColor(bar.event),
+              }}
+              onClick={() => openEventDrawer(bar.event)}
+              title={bar.event.summary || '(No title)'}
+            >
+              {!bar.continuesBefore && !isAllDayEvent(bar.event) && (
+                <span className="calendar-chip-time">{formatChipTime(bar.event)}</span>
+              )}
+              {bar.event.summary || '(No title)'}
+            </button>
+          ))}
         </div>
       );
+    });
+  };
+
+  // Save new times for an event: update locally first, roll back if the backend rejects it
+  const saveEventTimes = async (event, start, end, extraPayload = {}) => {
+    if (!event?.id) return;
+
+    const previous = event;
+    const existed = allEvents.some((e) => e.id === event.id);
+    const updated = withEventTimes(event, start, end);
+    // A moved occurrence is added as an exception so the expander skips its old slot
+    setAllEvents((prev) => (existed ? prev.map((e) => (e.id === event.id ? updated : e)) : [...prev, updated]));
+
+    try {
+      const response = await api.put(
+        `/calendar/events/${event.id}`,
+        { ...buildEventTimesPayload(event, start, end), ...extraPayload },
+        eventRequestConfig(event)
+      );
+      const saved = response.data?.event ?? response.data;
+      if (saved?.id === event.id && saved.start) {
+        setAllEvents((prev) => prev.map((e) => (e.id === event.id ? { ...saved, calendarId: event.calendarId } : e)));
+      }
+      window.dispatchEvent(new CustomEvent('calendar-event-updated', { detail: { eventId: event.id, event: updated } }));
+    } catch (error) {
+      console.error('Failed to reschedule event:', error);
+      setAllEvents((prev) => (existed
+        ? prev.map((e) => (e.id === event.id ? previous : e))
+        : prev.filter((e) => e.id !== event.id)));
+      const message = error.response?.data?.detail ?? error.message ?? 'Failed to update event';
+      toast.error(`${message}. The change was reverted.`);
     }
+  };
 
-    return days;
+  // Occurrences of a series ask first whether to move just that one or the whole series
+  const rescheduleEvent = (event, start, end) => {
+    if (isRecurringInstance(event)) {
+      setPendingReschedule({ event, start, end });
+      return;
+    }
+    saveEventTimes(event, start, end);
   };
 
-  // Fetch all events from API
-  const fetchEvents = async () => {
-    setLoading(true);
+  const applyPendingReschedule = async (scope) => {
+    const { event, start, end } = pendingReschedule;
+    setPendingReschedule(null);
+
+    if (scope === 'this') {
+      // Google accepts the instance id for single-occurrence changes
+      saveEventTimes(event, start, end);
+      return;
+    }
+
     try {
-      const response = await api.get('/calendar/events', { withCredentials: true });
-      const events = response.data || [];
+      const series = allEvents.find((e) => e.id === event.recurringEventId) ?? await getSeriesEvent(event);
+      // The series moves by as much as the dragged occurrence did
+      const delta = start - getEventStart(event);
+      let seriesTimes;
+      if (isAllDayEvent(series)) {
+        seriesTimes = shiftEventByDays(series, Math.round(delta / DAY_MS));
+      } else {
+        const seriesStart = new Date(getEventStart(series).getTime() + delta);
+        seriesTimes = { start: seriesStart, end: new Date(seriesStart.getTime() + (end - start)) };
+      }
+      saveEventTimes(series, seriesTimes.start, seriesTimes.end, { recurrence: series.recurrence ?? [] });
+    } catch (error) {
+      console.error('Failed to load event series:', error);
+      const message = error.response?.data?.detail ?? error.message ?? 'Failed to load event series';
+      toast.error(message);
+    }
+  };
+
+  // Month view: drop an event from the day list onto another day, keeping its time
+  const onDayDrop = (e, day) => {
+    e.preventDefault();
+    setDragOverDay(null);
+    if (!draggedEvent) return;
+
+    const event = draggedEvent;
+    setDraggedEvent(null);
+
+    const target = new Date(currentDate.getFullYear(), currentDate.getMonth(), day);
+    const dayOffset = Math.round((target - startOfDay(getEventStart(event))) / DAY_MS);
+    if (dayOffset === 0) return;
+
+    const { start, end } = shiftEventByDays(event, dayOffset);
+    rescheduleEvent(event, start, end);
+    setSelectedDate(target);
+  };
+
+  // The month, week or day on screen
+  const getViewRange = () => {
+    if (view === 'month') {
+      return {
+        start: new Date(currentDate.getFullYear(), currentDate.getMonth(), 1),
+        end: new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 1),
+      };
+    }
+    const days = getVisibleDays();
+    return { start: days[0], end: addDays(days[days.length - 1], 1) };
+  };
+
+  // Range the views currently need, including the selected day's list
+  const getExpansionRange = () => {
+    const viewRange = getViewRange();
+    let rangeStart = viewRange.start;
+    let rangeEnd = viewRange.end;
+    if (selectedDate) {
+      const selectedStart = startOfDay(selectedDate);
+      if (selectedStart < rangeStart) rangeStart = selectedStart;
+      if (addDays(selectedStart, 1) > rangeEnd) rangeEnd = addDays(selectedStart, 1);
+    }
+    return { rangeStart, rangeEnd };
+  };
+
+  // Recurring series are expanded into one entry per occurrence
+  const { rangeStart, rangeEnd } = getExpansionRange();
+  const displayEvents = expandRecurringEvents(allEvents, rangeStart, rangeEnd);
+
+  // Load the needed range through the month cache; only uncached months hit the backend
+  const rangeStartTime = rangeStart.getTime();
+  const rangeEndTime = rangeEnd.getTime();
+  const loadEvents = useCallback(async () => {
+    const request = ++loadRequest.current;
+    const start = new Date(rangeStartTime);
+    const end = new Date(rangeEndTime);
+    if (!isRangeCached(start, end, visibleCalendarIds)) setLoading(true);
+    try {
+      const events = await getEventsForRange(start, end, visibleCalendarIds);
+      // Ignore answers for a range the user has already left
+      if (request !== loadRequest.current) return;
       setAllEvents(events);
+      prefetchAdjacentMonths(start, end, visibleCalendarIds);
     } catch (error) {
+      if (request !== loadRequest.current) return;
       console.error("Failed to fetch calendar events:", error);
       setAllEvents([]);
     } finally {
-      setLoading(false);
+      if (request === loadRequest.current) setLoading(false);
     }
-  };
+  }, [rangeStartTime, rangeEndTime, visibleCalendarIds]);
 
-  // Fetch events on mount and listen for event changes
+  // Reload when the range, calendars or time zone change; the cache has already dropped changed months
   useEffect(() => {
-    fetchEvents();
+    loadEvents();
+  }, [loadEvents, timeZone]);
 
-    // Listen for event changes from other components
+  // Listen for event changes from other components
+  useEffect(() => {
     const handleEventChange = () => {
-      fetchEvents();
+      loadEvents();
     };
 
     window.addEventListener('kanban-event-added', handleEventChange);
     window.addEventListener('kanban-event-deleted', handleEventChange);
+    window.addEventListener('calendar-event-added', handleEventChange);
+    window.addEventListener('calendar-event-updated', handleEventChange);
+    window.addEventListener('calendar-event-deleted', handleEventChange);
 
     return () => {
       window.removeEventListener('kanban-event-added', handleEventChange);
       window.removeEventListener('kanban-event-deleted', handleEventChange);
+      window.removeEventListener('calendar-event-added', handleEventChange);
+      window.removeEventListener('calendar-event-updated', handleEventChange);
+      window.removeEventListener('calendar-event-deleted', handleEventChange);
     };
-  }, []);
+  }, [loadEvents]);
 
   // Filter events for the selected date
+  // Events on `date`, including multi-day events that started earlier
   const getEventsForDate = (date) => {
     if (!date) return [];
-
-    const dateYMD = date.getFullYear() + '-' +
-      String(date.getMonth() + 1).padStart(2, '0') + '-' +
-      String(date.getDate()).padStart(2, '0');
-
-    return allEvents.filter(event => {
-      if (event.start?.date) {
-        // Full-day events
-        return event.start.date === dateYMD;
-      } else if (event.start?.dateTime) {
-        // Timed events
-        return new Date(event.start.dateTime).toDateString() === date.toDateString();
-      }
-      return false;
-    });
+    const dayStart = startOfDay(date);
+    return displayEvents.filter((event) => eventOverlapsRange(event, dayStart, addDays(dayStart, 1)));
   };
 
   const selectedDateEvents = getEventsForDate(selectedDate);
 
+  const viewRange = getViewRange();
+  const closeIcsDialog = useCallback(() => setIcsDialog(null), []);
+  const closeQuickCreate = useCallback(() => setQuickCreate(null), []);
+
   const formatEventDate = () => {
     if (!selectedDate) return "Today's";
-    const today = new Date();
+    const today = getZonedNow();
     if (selectedDate.toDateString() === today.toDateString()) {
       return "Today's";
     }
@@ -146,26 +477,88 @@ export default function Calendar() {
 
   return (
     <div className="calendar-container">
-      <div className="calendar">
+      <CalendarList />
+      {pendingReschedule && (
+        <RecurrenceScopePrompt
+          onChoose={applyPendingReschedule}
+          onCancel={() => setPendingReschedule(null)}
+        />
+      )}
+      {quickCreate && (
+        <QuickCreatePopover
+          key={quickCreate.draft.start.getTime()}
+          draft={quickCreate.draft}
+          anchor={quickCreate.anchor}
+          onClose={closeQuickCreate}
+        />
+      )}
+      {icsDialog === 'import' && <IcsImportDialog onClose={closeIcsDialog} />}
+      {icsDialog === 'export' && (
+        <IcsExportDialog
+          events={displayEvents.filter((event) => eventOverlapsRange(event, viewRange.start, viewRange.end))}
+          label={`This ${view} (${getHeaderTitle()})`}
+          filename={`eventx-${toYMD(viewRange.start)}`}
+          defaultRange={viewRange}
+          onClose={closeIcsDialog}
+        />
+      )}
+      <div className={`calendar ${view}-mode`}>
         <div className="calendar-header">
-          <button onClick={prevMonth} className="nav-btn">‹</button>
-          <h2>{monthNames[currentDate.getMonth()]} {currentDate.getFullYear()}</h2>
-          <button onClick={nextMonth} className="nav-btn">›</button>
+          <button onClick={() => navigate(-1)} className="nav-btn">‹</button>
+          <h2>{getHeaderTitle()}</h2>
+          <button onClick={() => navigate(1)} className="nav-btn">›</button>
+          <div className="view-switcher" role="group" aria-label="Calendar view">
+            {['month', 'week', 'day'].map((mode) => (
+              <button
+                key={mode}
+                type="button"
+                className={`view-switcher-btn ${view === mode ? 'active' : ''}`}
+                onClick={() => changeView(mode)}
+                aria-pressed={view === mode}
+              >
+                {mode.charAt(0).toUpperCase() + mode.slice(1)}
+              </button>
+            ))}
+          </div>
         </div>
-
-        <div className="calendar-weekdays">
-          <div className="weekday">Sun</div>
-          <div className="weekday">Mon</div>
-          <div className="weekday">Tue</div>
-          <div className="weekday">Wed</div>
-          <div className="weekday">Thu</div>
-          <div className="weekday">Fri</div>
-          <div className="weekday">Sat</div>
+        <div className="calendar-actions">
+          <button type="button" className="calendar-action-btn" onClick={() => setIcsDialog('import')}>
+            Import .ics
+          </button>
+          <button type="button" className="calendar-action-btn" onClick={() => setIcsDialog('export')}>
+            Export .ics
+          </button>
         </div>
 
-        <div className="calendar-grid">
-          {renderCalendar()}
-        </div>
+        {view === 'month' ? (
+          <>
+            <div className="calendar-weekdays">
+              <div className="weekday">Sun</div>
+              <div className="weekday">Mon</div>
+              <div className="weekday">Tue</div>
+              <div className="weekday">Wed</div>
+              <div className="weekday">Thu</div>
+              <div className="weekday">Fri</div>
+              <div className="weekday">Sat</div>
+            </div>
+
+            <div className={`calendar-grid ${draggedEvent ? 'dragging' : ''}`}>
+              {renderCalendar()}
+            </div>
+          </>
+        ) : (
+          <TimeGrid
+            days={getVisibleDays()}
+            events={displayEvents}
+            selectedDate={selectedDate}
+            timeZone={timeZone}
+            secondaryTimeZone={secondaryTimeZone}
+            onSelectDate={setSelectedDate}
+            onEventChange={rescheduleEvent}
+            onEventClick={openEventDrawer}
+            onCreateRange={openQuickCreate}
+          />
+        )}
 
         <div className="todays-events-section" style={{ marginTop: '20px', paddingTop: '10px', borderTop: '1px solid rgba(0,0,0,0.1)' }}>
           <h3 style={{ fontSize: '1.1rem', marginBottom: '10px', color: '#444' }}>{formatEventDate()} Events</h3>
@@ -174,18 +567,34 @@ export default function Calendar() {
               <p style={{ fontStyle: 'italic', color: '#777' }}>Loading events...</p>
             ) : selectedDateEvents.length > 0 ? (
               selectedDateEvents.map((event, index) => (
-                <div key={event.id || index} style={{
-                  backgroundColor: 'rgba(233, 179, 107, 0.4)',
-                  padding: '10px 15px',
-                  borderRadius: '12px',
-                  marginBottom: '8px',
-                  border: '1px solid #e9b36b',
-                  color: '#2d2d2d'
-                }}>
+                <div
+                  key={event.id || index}
+                  draggable={view === 'month' && Boolean(event.id)}
+                  onDragStart={(e) => {
+                    setDraggedEvent(event);
+                    e.dataTransfer.effectAllowed = 'move';
+                  }}
+                  onDragEnd={() => {
+                    setDraggedEvent(null);
+                    setDragOverDay(null);
+                  }}
+                  onClick={() => openEventDrawer(event)}
+                  title="View event details"
+                  style={{
+                    cursor: view === 'month' && event.id ? 'grab' : 'pointer',
+                    backgroundColor: toTranslucent(getEventColor(event)),
+                    padding: '10px 15px',
+                    borderRadius: '12px',
+                    marginBottom: '8px',
+                    border: `1px solid ${getEventColor(event)}`,
+                    color: '#2d2d2d'
+                  }}
+                >
                   <div style={{ fontWeight: 'bold', fontSize: '1rem' }}>{event.summary || '(No title)'}</div>
                   {event.start?.dateTime && (
                     <div style={{ fontSize: '0.85rem', color: '#555', marginTop: '4px' }}>
-                      {new Date(event.start.dateTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: true })}
+                      {getEventStart(event).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: true })}
+                      {secondaryTimeZone && ` (${formatTimeInZone(new Date(event.start.dateTime), secondaryTimeZone)})`}
                     </div>
                   )}
                   {event.start?.date && (
@@ -0,0 +1,39 @@
+import React from 'react';
+import { useCalendars, getCalendarColor, setCalendarVisible, setCalendarColor } from './calendars';
+import './CalendarList.css';
+
+// Sidebar of the user's calendars with a visibility checkbox and color for each
+export default function CalendarList() {
+  const { calendars, visibleCalendarIds } = useCalendars();
+
+  return (
+    <aside className="calendar-list" aria-label="Calendars">
+      <h3>Calendars</h3>
+      <ul>
+        {calendars.map((calendar) => {
+          const color = getCalendarColor(calendar.id);
+          return (
+            <li key={calendar.id}>
+              <label className="calendar-list-toggle" title={calendar.summary}>
+                <input
+                  type="checkbox"
+                  checked={visibleCalendarIds.includes(calendar.id)}
+                  onChange={(e) => setCalendarVisible(calendar.id, e.target.checked)}
+                  style={{ accentColor: color }}
+                />
+                <span className="calendar-list-name">{calendar.summary}</span>
+              </label>
+              <input
+                type="color"
+                className="calendar-list-color"
+                value={color}
+                onChange={(e) => setCalendarColor(calendar.id, e.target.value)}
+                title={`Color for ${calendar.summary}`}
+              />
+            </li>
+          );
+        })}
+      </ul>
+    </aside>
+  );
+}
@@ -0,0 +1,469 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Pencil, Copy, Trash2, MapPin, Users, Clock, ExternalLink, Repeat } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api, { sendKeepalive } from './api';
+import { isAllDayEvent, getEventStart, getEventEnd, addDays } from './calendarUtils';
+import {
+  buildEventPayload,
+  eventToFormValues,
+  applyPayloadToEvent,
+  getSeriesEvent,
+  retargetPayloadToSeries,
+} from './eventUtils';
+import { getRRule, describeRRule, isRecurringInstance } from './recurrence';
+import RecurrenceScopePrompt from './RecurrenceScopePrompt.jsx';
+import TimeZoneSelect from './TimeZoneSelect.jsx';
+import { useTimeZones, formatTimeInZone } from './timeZone';
+import { eventRequestConfig, getCalendar, getEventColor, PRIMARY_CALENDAR_ID } from './calendars';
+import { deferAction } from './undo';
+import './EventDrawer.css';
+
+// Fields rendered in their own sections; everything else goes under "More details"
+const KNOWN_FIELDS = new Set([
+  'id', 'summary', 'description', 'location', 'attendees', 'start', 'end',
+  'htmlLink', 'hangoutLink', 'organizer', 'creator', 'status', 'created', 'updated',
+  'kind', 'etag', 'recurrence', 'recurringEventId', 'originalStartTime', 'seriesEvent', 'calendarId',
+]);
+
+const formatWhen = (event) => {
+  const start = getEventStart(event);
+  const end = getEventEnd(event);
+  if (!start) return 'No date';
+
+  const dateOptions = { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' };
+  if (isAllDayEvent(event)) {
+    const lastDay = end ? addDays(end, -1) : start;
+    const first = start.toLocaleDateString('en-US', dateOptions);
+    return lastDay > start
+      ? `${first} – ${lastDay.toLocaleDateString('en-US', dateOptions)} (all day)`
+      : `${first} (all day)`;
+  }
+
+  const timeOptions = { hour: '2-digit', minute: '2-digit', hour12: true };
+  const startLabel = `${start.toLocaleDateString('en-US', dateOptions)} ${start.toLocaleTimeString([], timeOptions)}`;
+  if (!end || end.getTime() === start.getTime()) return startLabel;
+  const endLabel = end.toDateString() === start.toDateString()
+    ? end.toLocaleTimeString([], timeOptions)
+    : `${end.toLocaleDateString('en-US', dateOptions)} ${end.toLocaleTimeString([], timeOptions)}`;
+  return `${startLabel} – ${endLabel}`;
+};
+
+// Start time in the event's own zone and the secondary zone, where they differ from the default
+const formatOtherZones = (event, timeZone, secondaryTimeZone) => {
+  if (!event.start?.dateTime) return [];
+  const start = new Date(event.start.dateTime);
+  return [...new Set([event.start.timeZone, secondaryTimeZone])]
+    .filter((zone) => zone && zone !== timeZone)
+    .map((zone) => `${formatTimeInZone(start, zone)} · ${zone.replace(/_/g, ' ')}`);
+};
+
+const formatFieldLabel = (key) => {
+  const spaced = key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/_/g, ' ');
+  return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+};
+
+const formatFieldValue = (value) => {
+  if (value == null) return '';
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+};
+
+export default function EventDrawer({ isAuthenticated }) {
+  const { timeZone, secondaryTimeZone } = useTimeZones();
+  const [isOpen, setIsOpen] = useState(false);
+  const [event, setEvent] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [values, setValues] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [pendingScope, setPendingScope] = useState(null); // { action, payload } for recurring events
+
+  const close = useCallback(() => {
+    setIsOpen(false);
+    setIsEditing(false);
+    setValues(null);
+    setPendingScope(null);
+  }, []);
+
+  // The loaded event keeps its calendarId so saving and deleting reach the same calendar
+  const loadEvent = async (eventId, calendarId) => {
+    setLoading(true);
+    try {
+      const res = await api.get(`/calendar/events/${eventId}`, eventRequestConfig({ calendarId }));
+      const loaded = res.data?.event ?? res.data;
+      setEvent(calendarId ? { ...loaded, calendarId } : loaded);
+    } catch (error) {
+      console.error('Failed to load event:', error);
+      const message = error.response?.data?.detail ?? error.message ?? 'Failed to load event';
+      toast.error(message);
+      setIsOpen(false);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Open requests come from Calendar, Upcoming Events and the Kanban board
+  useEffect(() => {
+    const handleOpen = (e) => {
+      const { event: openedEvent, eventId, calendarId } = e.detail || {};
+      setIsEditing(false);
+      setValues(null);
+      setIsOpen(true);
+      if (openedEvent) {
+        setEvent(openedEvent);
+      } else if (eventId) {
+        setEvent(null);
+        loadEvent(eventId, calendarId);
+      }
+    };
+
+    window.addEventListener('open-event-drawer', handleOpen);
+    return () => window.removeEventListener('open-event-drawer', handleOpen);
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') close();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, close]);
+
+  useEffect(() => {
+    if (!isAuthenticated) close();
+  }, [isAuthenticated, close]);
+
+  if (!isOpen) return null;
+
+  const startEditing = () => {
+    setValues(eventToFormValues(event));
+    setIsEditing(true);
+  };
+
+  const setField = (key) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setValues((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const saveUpdate = async (scope, payload) => {
+    setSaving(true);
+    try {
+      let targetId = event.id;
+      let body = payload;
+      if (scope === 'all') {
+        const series = await getSeriesEvent(event);
+        targetId = series.id;
+        body = retargetPayloadToSeries(payload, event, series);
+      }
+
+      // A series always lives in the same calendar as its occurrences
+      const res = await api.put(`/calendar/events/${targetId}`, body, eventRequestConfig(event));
+      const saved = res.data?.event ?? res.data;
+      // After a series change this occurrence is shown with the edited details
+      const updated = scope !== 'all' && saved?.id === event.id && saved.start
+        ? { ...saved, calendarId: event.calendarId }
+        : applyPayloadToEvent(event, payload);
+      setEvent(updated);
+      setIsEditing(false);
+      toast.success('Event updated successfully.');
+      window.dispatchEvent(new CustomEvent('calendar-event-updated', { detail: { eventId: targetId, event: updated } }));
+    } catch (err) {
+      console.error('Failed to update event:', err);
+      const message = err.response?.data?.detail ?? err.message ?? 'Failed to update event';
+      toast.error(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const { payload, error } = buildEventPayload(values);
+    if (error) {
+      toast.warn(error);
+      return;
+    }
+
+    if (isRecurringInstance(event)) {
+      setPendingScope({ action: 'edit', payload });
+      return;
+    }
+    saveUpdate('this', payload);
+  };
+
+  const handleDuplicate = async () => {
+    const source = eventToFormValues(event);
+    const { payload, error } = buildEventPayload({ ...source, summary: `${source.summary || '(No title)'} (copy)` });
+    if (error) {
+      toast.warn(error);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const res = await api.post('/calendar/events', payload, { withCredentials: true });
+      const created = { ...(res.data?.event ?? res.data), calendarId: source.calendarId };
+      toast.success('Event duplicated.');
+      window.dispatchEvent(new CustomEvent('calendar-event-added', { detail: { eventId: created?.id, event: created } }));
+      if (created?.id && created.start) {
+        setEvent(created);
+      }
+    } catch (err) {
+      console.error('Failed to duplicate event:', err);
+      const message = err.response?.data?.detail ?? err.message ?? 'Failed to duplicate event';
+      toast.error(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // The drawer closes right away; the delete waits behind an undo toast
+  const deleteEvent = (scope) => {
+    const targetId = scope === 'all' ? event.recurringEventId : event.id;
+    const deleted = event;
+    close();
+    deferAction({
+      key: `event:${targetId}`,
+      message: `Deleted "${deleted.summary || '(No title)'}"`,
+      commit: async () => {
+        try {
+          await api.delete(`/calendar/events/${targetId}`, eventRequestConfig(deleted));
+          window.dispatchEvent(new CustomEvent('calendar-event-deleted', { detail: { eventId: targetId, event: deleted } }));
+        } catch (err) {
+          console.error('Failed to delete event:', err);
+          const message = err.response?.data?.detail ?? err.message ?? 'Failed to delete event';
+          toast.error(message);
+        }
+      },
+      commitOnUnload: () => sendKeepalive('DELETE', `/calendar/events/${targetId}`, eventRequestConfig(deleted).params),
+    });
+  };
+
+  const handleDelete = () => {
+    // The scope prompt doubles as the confirmation for recurring events
+    if (isRecurringInstance(event)) {
+      setPendingScope({ action: 'delete' });
+      return;
+    }
+    if (!window.confirm(`Delete "${event.summary || '(No title)'}"?`)) return;
+    deleteEvent('this');
+  };
+
+  const handleScopeChoice = (scope) => {
+    const { action, payload } = pendingScope;
+    setPendingScope(null);
+    if (action === 'delete') {
+      deleteEvent(scope);
+    } else {
+      saveUpdate(scope, payload);
+    }
+  };
+
+  const recurrenceRule = getRRule(event) ?? getRRule(event?.seriesEvent);
+
+  const extraFields = event
+    ? Object.entries(event).filter(([key, value]) => !KNOWN_FIELDS.has(key) && value != null && value !== '')
+    : [];
+
+  return (
+    <div className="event-drawer-overlay" onClick={close}>
+      {pendingScope && (
+        <RecurrenceScopePrompt
+          action={pendingScope.action}
+          onChoose={handleScopeChoice}
+          onCancel={() => setPendingScope(null)}
+        />
+      )}
+      <aside
+        className="event-drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Event details"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="event-drawer-header">
+          <h3>{isEditing ? 'Edit Event' : (event?.summary || (loading ? 'Loading…' : '(No title)'))}</h3>
+          <button type="button" className="event-drawer-close" onClick={close} title="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        {loading && <p className="event-drawer-muted">Loading event...</p>}
+
+        {!loading && event && !isEditing && (
+          <div className="event-drawer-body">
+            <div className="event-drawer-row">
+              <Clock size={16} />
+              <span>
+                {formatWhen(event)}
+                {formatOtherZones(event, timeZone, secondaryTimeZone).map((label) => (
+                  <span key={label} className="event-drawer-zone">{label}</span>
+                ))}
+              </span>
+            </div>
+            {(recurrenceRule || isRecurringInstance(event)) && (
+              <div className="event-drawer-row">
+                <Repeat size={16} />
+                <span>
+                  {recurrenceRule
+                    ? describeRRule(recurrenceRule)
+                    : 'Part of a recurring series'}
+                </span>
+              </div>
+            )}
+            <div className="event-drawer-row">
+              <span className="event-drawer-calendar-swatch" style={{ backgroundColor: getEventColor(event) }}></span>
+              <span>{getCalendar(event.calendarId ?? PRIMARY_CALENDAR_ID)?.summary ?? event.calendarId ?? 'My calendar'}</span>
+            </div>
+            {event.location && (
+              <div className="event-drawer-row">
+                <MapPin size={16} />
+                <span>{event.location}</span>
+              </div>
+            )}
+            {event.attendees?.length > 0 && (
+              <div className="event-drawer-row">
+                <Users size={16} />
+                <ul className="event-drawer-attendees">
+                  {event.attendees.map((attendee) => (
+                    <li key={attendee.email}>
+                      {attendee.displayName || attendee.email}
+                      {attendee.responseStatus && (
+                        <span className={`attendee-status ${attendee.responseStatus}`}>{attendee.responseStatus}</span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="event-drawer-section">
+              <h4>Description</h4>
+              <p className="event-drawer-description">{event.description || 'No description.'}</p>
+            </div>
+
+            <dl className="event-drawer-fields">
+              {event.status && (<><dt>Status</dt><dd>{event.status}</dd></>)}
+              {event.organizer?.email && (<><dt>Organizer</dt><dd>{event.organizer.displayName || event.organizer.email}</dd></>)}
+              {event.creator?.email && (<><dt>Created by</dt><dd>{event.creator.displayName || event.creator.email}</dd></>)}
+              {event.created && (<><dt>Created</dt><dd>{new Date(event.created).toLocaleString([], { timeZone })}</dd></>)}
+              {event.updated && (<><dt>Updated</dt><dd>{new Date(event.updated).toLocaleString([], { timeZone })}</dd></>)}
+            </dl>
+
+            {extraFields.length > 0 && (
+              <details className="event-drawer-section">
+                <summary>More details</summary>
+                <dl className="event-drawer-fields">
+                  {extraFields.map(([key, value]) => (
+                    <React.Fragment key={key}>
+                      <dt>{formatFieldLabel(key)}</dt>
+                      <dd><pre>{formatFieldValue(value)}</pre></dd>
+                    </React.Fragment>
+                  ))}
+                </dl>
+              </details>
+            )}
+
+            <div className="event-drawer-links">
+              {event.htmlLink && (
+                <a href={event.htmlLink} target="_blank" rel="noreferrer">
+                  <ExternalLink size={14} /> Open in Google Calendar
+                </a>
+              )}
+              {event.hangoutLink && (
+                <a href={event.hangoutLink} target="_blank" rel="noreferrer">
+                  <ExternalLink size={14} /> Join meeting
+                </a>
+              )}
+            </div>
+
+            <div className="event-drawer-actions">
+              <button type="button" className="save-btn" onClick={startEditing} disabled={saving || !event.id}>
+                <Pencil size={14} /> Edit
+              </button>
+              <button type="button" className="save-btn" onClick={handleDuplicate} disabled={saving}>
+                <Copy size={14} /> Duplicate
+              </button>
+              <button type="button" className="save-btn danger" onClick={handleDelete} disabled={saving || !event.id}>
+                <Trash2 size={14} /> Delete
+              </button>
+            </div>
+          </div>
+        )}
+
+        {!loading && event && isEditing && values && (
+          <form className="event-drawer-body event-drawer-form" onSubmit={handleSave}>
+            <label>
+              Summary
+              <input type="text" value={values.summary} onChange={setField('summary')} placeholder="Event Summary" />
+            </label>
+            <label className="event-drawer-checkbox">
+              <input type="checkbox" checked={values.allDay} onChange={setField('allDay')} />
+              All day
+            </label>
+            <div className="event-drawer-pair">
+              <label>
+                Start date
+                <input type="date" value={values.startDate} onChange={setField('startDate')} />
+              </label>
+              {!values.allDay && (
+                <label>
+                  Start time
+                  <input type="time" value={values.startTime} onChange={setField('startTime')} />
+                </label>
+              )}
+            </div>
+            <div className="event-drawer-pair">
+              <label>
+                End date
+                <input type="date" value={values.endDate} onChange={setField('endDate')} />
+              </label>
+              {!values.allDay && (
+                <label>
+                  End time
+                  <input type="time" value={values.endTime} onChange={setField('endTime')} />
+                </label>
+              )}
+            </div>
+            {!values.allDay && (
+              <label>
+                Time zone
+                <TimeZoneSelect
+                  value={values.timeZone}
+                  onChange={(zone) => setValues((prev) => ({ ...prev, timeZone: zone }))}
+                />
+              </label>
+            )}
+            <label>
+              Location
+              <input type="text" value={values.location} onChange={setField('location')} placeholder="Location" />
+            </label>
+            <label>
+              Attendees
+              <input
+                type="text"
+                value={values.attendees}
+                onChange={setField('attendees')}
+                placeholder="Attendee emails"
+                title="You can add multiple emails separated by commas"
+              />
+            </label>
+            <label>
+              Description
+              <textarea value={values.description} onChange={setField('description')} placeholder="Description" rows={4} />
+            </label>
+            <div className="event-drawer-actions">
+              <button type="submit" className="save-btn" disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+              <button type="button" className="save-btn secondary" onClick={() => setIsEditing(false)} disabled={saving}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import './IcsDialog.css';
+import { buildICS, downloadICS } from './ics';
+import { getEventsForRange } from './eventCache';
+import { expandRecurringEvents } from './recurrence';
+import { addDays, parseYMD, toYMD, eventOverlapsRange } from './calendarUtils';
+import { getZonedNow } from './timeZone';
+
+// Downloads either the events the caller is showing (`events`, described by `label`)
+// or every visible calendar's events in a chosen date range as an .ics file.
+export default function IcsExportDialog({ events, label, filename, defaultRange, onClose }) {
+  const today = getZonedNow();
+  const initialStart = defaultRange?.start ?? today;
+  const initialEnd = defaultRange ? addDays(defaultRange.end, -1) : addDays(today, 30);
+  const [source, setSource] = useState(events ? 'current' : 'range');
+  const [startDate, setStartDate] = useState(toYMD(initialStart));
+  const [endDate, setEndDate] = useState(toYMD(initialEnd));
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleExport = async () => {
+    let exported = events ?? [];
+    let name = filename || 'eventx';
+
+    if (source === 'range') {
+      if (!startDate || !endDate || endDate < startDate) {
+        toast.error('Please choose an end date on or after the start date.');
+        return;
+      }
+      const rangeStart = parseYMD(startDate);
+      const rangeEnd = addDays(parseYMD(endDate), 1);
+      setExporting(true);
+      try {
+        const loaded = await getEventsForRange(rangeStart, rangeEnd);
+        exported = expandRecurringEvents(loaded, rangeStart, rangeEnd)
+          .filter((event) => eventOverlapsRange(event, rangeStart, rangeEnd));
+        name = `eventx-${startDate}-to-${endDate}`;
+      } catch (error) {
+        console.error('Failed to load events for export:', error);
+        toast.error(error.response?.data?.detail ?? error.message ?? 'Failed to load events');
+        setExporting(false);
+        return;
+      }
+      setExporting(false);
+    }
+
+    if (exported.length === 0) {
+      toast.info('There are no events to export.');
+      return;
+    }
+    downloadICS(name, buildICS(exported));
+    toast.success(`Exported ${exported.length} event${exported.length === 1 ? '' : 's'}.`);
+    onClose();
+  };
+
+  return (
+    <div className="ics-dialog-overlay" onClick={onClose}>
+      <div
+        className="ics-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="ics-export-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 id="ics-export-title">Export events</h3>
+        <p>Download events as an iCalendar (.ics) file for other calendar apps.</p>
+        <div className="ics-dialog-options">
+          {events && (
+            <label>
+              <input
+                type="radio"
+                name="icsExportSource"
+                checked={source === 'current'}
+                onChange={() => setSource('current')}
+              />
+              {label} ({events.length} event{events.length === 1 ? '' : 's'})
+            </label>
+          )}
+          <label>
+            <input
+              type="radio"
+              name="icsExportSource"
+              checked={source === 'range'}
+              onChange={() => setSource('range')}
+            />
+            Date range
+          </label>
+          {source === 'range' && (
+            <div className="ics-dialog-range">
+              <input
+                type="date"
+                value={startDate}
+                onChange={(e) => setStartDate(e.target.value)}
+                aria-label="Export from"
+              />
+              <span>to</span>
+              <input
+                type="date"
+                value={endDate}
+                onChange={(e) => setEndDate(e.target.value)}
+                aria-label="Export until"
+              />
+            </div>
+          )}
+        </div>
+        <div className="ics-dialog-actions">
+          <button type="button" className="save-btn" onClick={handleExport} disabled={exporting}>
+            {exporting ? 'Exporting…' : 'Download .ics'}
+          </button>
+          <button type="button" className="save-btn secondary" onClick={onClose}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import './IcsDialog.css';
+import api from './api';
+import { parseICS, importedEventToFormValues } from './ics';
+import { buildEventPayload } from './eventUtils';
+import { describeRRule, getRRule } from './recurrence';
+import { useCalendars, PRIMARY_CALENDAR_ID } from './calendars';
+import { fromZonedTime, getTimeZoneAbbreviation } from './timeZone';
+
+// `event.start` is already a wall-clock Date in the event's zone, so its local fields are the time to show
+const describeWhen = (event) => {
+  const date = event.start.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+  if (event.allDay) return `${date} · All day`;
+  const time = event.start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: true });
+  return `${date} · ${time} ${getTimeZoneAbbreviation(event.timeZone, fromZonedTime(event.start, event.timeZone))}`;
+};
+
+// Reads an .ics file, previews its events and creates the selected ones one by one
+// through POST /calendar/events.
+export default function IcsImportDialog({ onClose }) {
+  const { calendars } = useCalendars();
+  const [fileName, setFileName] = useState('');
+  const [events, setEvents] = useState([]);
+  const [selected, setSelected] = useState(new Set());
+  const [calendarId, setCalendarId] = useState(PRIMARY_CALENDAR_ID);
+  const [progress, setProgress] = useState(null); // { done, total } while importing
+  const importing = progress !== null;
+  const writableCalendars = calendars.filter((calendar) => !calendar.readOnly);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && !importing) onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, importing]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    try {
+      const parsed = parseICS(await file.text());
+      setEvents(parsed);
+      setSelected(new Set(parsed.map((_, index) => index)));
+      if (parsed.length === 0) toast.info('No events found in this file.');
+    } catch (error) {
+      console.error('Failed to read .ics file:', error);
+      setEvents([]);
+      setSelected(new Set());
+      toast.error('Could not read this file. Please choose an iCalendar (.ics) file.');
+    }
+  };
+
+  const toggleEvent = (index) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(selected.size === events.length ? new Set() : new Set(events.map((_, index) => index)));
+  };
+
+  const handleImport = async () => {
+    const chosen = [...selected].sort((a, b) => a - b);
+    let imported = 0;
+    const failed = [];
+    setProgress({ done: 0, total: chosen.length });
+
+    // One at a time, so a large file does not flood the backend
+    for (const index of chosen) {
+      const { payload, error } = buildEventPayload({ ...importedEventToFormValues(events[index]), calendarId });
+      try {
+        if (error) throw new Error(error);
+        await api.post('/calendar/events', payload, { withCredentials: true });
+        imported += 1;
+      } catch (err) {
+        console.error('Failed to import event:', err);
+        failed.push(index);
+      }
+      setProgress((prev) => ({ ...prev, done: prev.done + 1 }));
+    }
+
+    if (imported > 0) {
+      toast.success(`Imported ${imported} event${imported === 1 ? '' : 's'}.`);
+      // No event detail: every cached month may have changed
+      window.dispatchEvent(new CustomEvent('calendar-event-added'));
+    }
+    if (failed.length > 0) {
+      // Leave only the failed events selected so a retry does not duplicate the rest
+      toast.error(`Failed to import ${failed.length} event${failed.length === 1 ? '' : 's'}.`);
+      setSelected(new Set(failed));
+      setProgress(null);
+      return;
+    }
+    onClose();
+  };
+
+  return (
+    <div className="ics-dialog-overlay" onClick={() => !importing && onClose()}>
+      <div
+        className="ics-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="ics-import-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 id="ics-import-title">Import events</h3>
+        <p>Choose an iCalendar (.ics) file exported from another calendar.</p>
+        <label className="ics-dialog-file">
+          <input type="file" accept=".ics,text/calendar" onChange={handleFile} disabled={importing} />
+          <span>{fileName || 'No file chosen'}</span>
+        </label>
+
+        {events.length > 0 && (
+          <>
+            <div className="ics-dialog-toolbar">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={selected.size === events.length}
+                  onChange={toggleAll}
+                  disabled={importing}
+                />
+                {selected.size} of {events.length} selected
+              </label>
+              {writableCalendars.length > 1 && (
+                <select
+                  value={calendarId}
+                  onChange={(e) => setCalendarId(e.target.value)}
+                  disabled={importing}
+                  aria-label="Import into calendar"
+                >
+                  {writableCalendars.map((calendar) => (
+                    <option key={calendar.id} value={calendar.id}>{calendar.summary}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+            <ul className="ics-dialog-list">
+              {events.map((event, index) => (
+                <li key={`${event.uid}-${index}`}>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={selected.has(index)}
+                      onChange={() => toggleEvent(index)}
+                      disabled={importing}
+                    />
+                    <span className="ics-dialog-event">
+                      <strong>{event.summary || '(No title)'}</strong>
+                      <span>{describeWhen(event)}</span>
+                      {getRRule(event) && <span>{describeRRule(getRRule(event))}</span>}
+                      {event.attendees.length > 0 && (
+                        <span>{event.attendees.length} guest{event.attendees.length === 1 ? '' : 's'}</span>
+                      )}
+                    </span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <div className="ics-dialog-actions">
+          <button
+            type="button"
+            className="save-btn"
+            onClick={handleImport}
+            disabled={importing || selected.size === 0}
+          >
+            {importing ? `Importing ${progress.done} of ${progress.total}…` : `Import ${selected.size || ''}`.trim()}
+          </button>
+          <button type="button" className="save-btn secondary" onClick={onClose} disabled={importing}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { CheckCircle, Circle, Trash2, X } from 'lucide-react';
+import { BULK_RESULT_LABELS, countResults } from './kanbanBulk';
+import './KanbanBulkBar.css';
+
+// Action bar for the selected cards, and the per-card results of the last bulk action.
+// `columns` is [{ id, title }]; `results` is { label, items: [{ id, title, status, message }] }.
+export default function KanbanBulkBar({
+  count,
+  columns,
+  results,
+  busy,
+  onComplete,
+  onUncomplete,
+  onMove,
+  onReschedule,
+  onDelete,
+  onClear,
+  onDismissResults,
+}) {
+  const [due, setDue] = useState('');
+  const [showDetails, setShowDetails] = useState(false);
+  const counts = results ? countResults(results.items) : {};
+
+  return (
+    <div className="kanban-bulk-bar" role="region" aria-label="Bulk actions">
+      {count > 0 && (
+        <div className="kanban-bulk-actions">
+          <span className="kanban-bulk-count">{count} selected</span>
+          <button type="button" onClick={onComplete} disabled={busy}>
+            <CheckCircle size={14} /> Complete
+          </button>
+          <button type="button" onClick={onUncomplete} disabled={busy}>
+            <Circle size={14} /> Reopen
+          </button>
+          <select
+            value=""
+            onChange={(e) => e.target.value && onMove(e.target.value)}
+            disabled={busy}
+            aria-label="Move selected cards to"
+          >
+            <option value="">Move to…</option>
+            {columns.map((column) => (
+              <option key={column.id} value={column.id}>{column.title}</option>
+            ))}
+          </select>
+          <span className="kanban-bulk-due">
+            <input
+              type="date"
+              value={due}
+              onChange={(e) => setDue(e.target.value)}
+              disabled={busy}
+              aria-label="New due date"
+            />
+            <button type="button" onClick={() => onReschedule(due || null)} disabled={busy}>
+              {due ? 'Reschedule' : 'Clear due date'}
+            </button>
+          </span>
+          <button type="button" className="kanban-bulk-delete" onClick={onDelete} disabled={busy}>
+            <Trash2 size={14} /> Delete
+          </button>
+          <button type="button" className="kanban-bulk-clear" onClick={onClear} title="Clear selection">
+            <X size={14} />
+          </button>
+        </div>
+      )}
+      {busy && <span className="kanban-bulk-status">Working…</span>}
+      {results && !busy && (
+        <div className="kanban-bulk-results" role="status">
+          <span>
+            {results.label}:{' '}
+            {Object.entries(counts).map(([status, n]) => `${n} ${BULK_RESULT_LABELS[status].toLowerCase()}`).join(', ')}
+          </span>
+          <button type="button" className="kanban-bulk-link" onClick={() => setShowDetails((prev) => !prev)}>
+            {showDetails ? 'Hide details' : 'Details'}
+          </button>
+          <button type="button" className="kanban-bulk-clear" onClick={onDismissResults} title="Dismiss">
+            <X size={14} />
+          </button>
+          {showDetails && (
+            <ul>
+              {results.items.map((result) => (
+                <li key={result.id} className={result.status}>
+                  <strong>{BULK_RESULT_LABELS[result.status]}</strong> {result.title}
+                  {result.message && <span> — {result.message}</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
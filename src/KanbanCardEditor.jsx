@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from 'react';
+import { X } from 'lucide-react';
+import { dueToYMD, ymdToDue } from './taskUtils';
+import { useTaskLists } from './taskLists';
+import './KanbanCardEditor.css';
+
+// Dialog for editing a task card's title, notes, due date and task list. `onSave` gets
+// the changed card fields ({ content, notes, due }) and the chosen list id, and the
+// dialog closes right away.
+export default function KanbanCardEditor({ item, onSave, onClose }) {
+  const [title, setTitle] = useState(item.content ?? '');
+  const [notes, setNotes] = useState(item.notes ?? '');
+  const [dueDate, setDueDate] = useState(dueToYMD(item.due));
+  const { taskLists, selectedTaskListId } = useTaskLists();
+  const [taskListId, setTaskListId] = useState(selectedTaskListId);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+    onSave({ content: title.trim(), notes: notes.trim(), due: ymdToDue(dueDate) }, taskListId);
+    onClose();
+  };
+
+  return (
+    <div className="kanban-card-editor-overlay" onClick={onClose}>
+      <form
+        className="kanban-card-editor"
+        role="dialog"
+        aria-label="Edit task"
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleSubmit}
+      >
+        <div className="kanban-card-editor-header">
+          <h3>Edit task</h3>
+          <button type="button" className="kanban-card-editor-close" onClick={onClose} title="Close">
+            <X size={16} />
+          </button>
+        </div>
+        <label>
+          Title
+          <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} autoFocus />
+        </label>
+        <label>
+          Notes
+          <textarea value={notes} onChange={(e) => setNotes(e.target.value)} rows={5} placeholder="Add notes" />
+        </label>
+        <label>
+          Due date
+          <span className="kanban-card-editor-due">
+            <input type="date" value={dueDate} onChange={(e) => setDueDate(e.target.value)} />
+            {dueDate && (
+              <button type="button" className="btn-secondary" onClick={() => setDueDate('')}>
+                Clear
+              </button>
+            )}
+          </span>
+        </label>
+        {item.source === 'google-tasks' && taskLists.length > 1 && (
+          <label>
+            List
+            <select value={taskListId} onChange={(e) => setTaskListId(e.target.value)}>
+              {taskLists.map((taskList) => (
+                <option key={taskList.id} value={taskList.id}>{taskList.title}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {item.source === 'local' && (
+          <p className="kanban-card-editor-hint">This task is not synced, so changes are saved on this device only.</p>
+        )}
+        <div className="kanban-input-actions">
+          <button type="submit" className="btn-primary" disabled={!title.trim()}>
+            Save
+          </button>
+          <button type="button" className="btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { ArrowLeft, ArrowRight, Trash2, Plus, X } from 'lucide-react';
+import { useColumnConfig, setColumnConfig, createColumnId, getIntakeColumnId } from './kanbanColumns';
+import './KanbanColumnSettings.css';
+
+const MIN_COLUMNS = 2;
+
+// Blank or non-positive means no limit
+const parseWipLimit = (value) => {
+  const limit = parseInt(value, 10);
+  return limit > 0 ? limit : null;
+};
+
+// Panel for adding, renaming, reordering and deleting board columns, setting WIP
+// limits and picking the completed column. `counts` maps column ids to item counts.
+export default function KanbanColumnSettings({ counts, onClose }) {
+  const columnConfig = useColumnConfig();
+  const { columns, completedColumnId } = columnConfig;
+  const [newTitle, setNewTitle] = useState('');
+
+  const updateColumn = (columnId, changes) => {
+    setColumnConfig({
+      ...columnConfig,
+      columns: columns.map((column) => (column.id === columnId ? { ...column, ...changes } : column)),
+    });
+  };
+
+  const moveColumn = (index, direction) => {
+    const next = [...columns];
+    const [moved] = next.splice(index, 1);
+    next.splice(index + direction, 0, moved);
+    setColumnConfig({ ...columnConfig, columns: next });
+  };
+
+  const deleteColumn = (column) => {
+    const remaining = columns.filter((c) => c.id !== column.id);
+    const nextConfig = {
+      columns: remaining,
+      completedColumnId: column.id === completedColumnId ? remaining[remaining.length - 1].id : completedColumnId,
+    };
+    const count = counts[column.id] ?? 0;
+    if (count > 0) {
+      const target = remaining.find((c) => c.id === getIntakeColumnId(nextConfig));
+      if (!window.confirm(`Delete "${column.title}"? Its ${count} card${count === 1 ? '' : 's'} will move to "${target.title}".`)) return;
+    }
+    setColumnConfig(nextConfig);
+  };
+
+  const addColumn = (e) => {
+    e.preventDefault();
+    const title = newTitle.trim();
+    if (!title) return;
+    // New columns go before the completed column when it is last
+    const column = { id: createColumnId(title, columnConfig), title, wipLimit: null };
+    const next = [...columns];
+    const lastIsCompleted = next[next.length - 1].id === completedColumnId;
+    next.splice(lastIsCompleted ? next.length - 1 : next.length, 0, column);
+    setColumnConfig({ ...columnConfig, columns: next });
+    setNewTitle('');
+  };
+
+  return (
+    <div className="kanban-column-settings">
+      <div className="kanban-column-settings-header">
+        <h3>Columns</h3>
+        <button type="button" className="kanban-column-settings-close" onClick={onClose} title="Close">
+          <X size={16} />
+        </button>
+      </div>
+      <div className="kanban-column-settings-labels">
+        <span>Name</span>
+        <span>WIP limit</span>
+        <span title="Cards moved here are marked complete in Google Tasks">Completed</span>
+      </div>
+      <ul>
+        {columns.map((column, index) => (
+          <li key={column.id}>
+            <input
+              type="text"
+              value={column.title}
+              onChange={(e) => updateColumn(column.id, { title: e.target.value })}
+              onBlur={(e) => !e.target.value.trim() && updateColumn(column.id, { title: 'Untitled' })}
+              aria-label="Column name"
+            />
+            <input
+              type="number"
+              min="1"
+              value={column.wipLimit ?? ''}
+              onChange={(e) => updateColumn(column.id, { wipLimit: parseWipLimit(e.target.value) })}
+              placeholder="None"
+              aria-label={`Work in progress limit for ${column.title}`}
+            />
+            <input
+              type="radio"
+              name="kanbanCompletedColumn"
+              checked={column.id === completedColumnId}
+              onChange={() => setColumnConfig({ ...columnConfig, completedColumnId: column.id })}
+              aria-label={`${column.title} is the completed column`}
+            />
+            <span className="kanban-column-settings-actions">
+              <button type="button" onClick={() => moveColumn(index, -1)} disabled={index === 0} title="Move left">
+                <ArrowLeft size={14} />
+              </button>
+              <button type="button" onClick={() => moveColumn(index, 1)} disabled={index === columns.length - 1} title="Move right">
+                <ArrowRight size={14} />
+              </button>
+              <button
+                type="button"
+                onClick={() => deleteColumn(column)}
+                disabled={columns.length <= MIN_COLUMNS}
+                title="Delete column"
+              >
+                <Trash2 size={14} />
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+      <form className="kanban-column-settings-add" onSubmit={addColumn}>
+        <input
+          type="text"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          placeholder="New column, e.g. Review"
+        />
+        <button type="submit" className="btn-primary" disabled={!newTitle.trim()}>
+          <Plus size={14} /> Add column
+        </button>
+      </form>
+    </div>
+  );
+}
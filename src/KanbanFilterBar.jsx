@@ -0,0 +1,112 @@
+import React from 'react';
+import { Search, X } from 'lucide-react';
+import { FILTER_TYPES, FILTER_SOURCES, DEFAULT_FILTERS, isFiltering } from './kanbanFilters';
+import { useLabels } from './labels';
+import './KanbanFilterBar.css';
+
+// Toolbar above the Kanban columns for searching and filtering cards
+export default function KanbanFilterBar({ filters, onChange }) {
+  const labels = useLabels();
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  const toggleValue = (key, value) => {
+    const values = filters[key].includes(value)
+      ? filters[key].filter((v) => v !== value)
+      : [...filters[key], value];
+    update({ [key]: values });
+  };
+
+  return (
+    <div className="kanban-filter-bar" role="search">
+      <label className="kanban-filter-search">
+        <Search size={14} />
+        <input
+          type="search"
+          value={filters.query}
+          onChange={(e) => update({ query: e.target.value })}
+          placeholder="Search cards…"
+          aria-label="Search cards"
+        />
+      </label>
+
+      <div className="kanban-filter-group" role="group" aria-label="Card types">
+        {FILTER_TYPES.map((type) => (
+          <button
+            key={type.value}
+            type="button"
+            className="kanban-filter-chip"
+            aria-pressed={filters.types.includes(type.value)}
+            onClick={() => toggleValue('types', type.value)}
+          >
+            {type.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="kanban-filter-group" role="group" aria-label="Sources">
+        {FILTER_SOURCES.map((source) => (
+          <button
+            key={source.value}
+            type="button"
+            className="kanban-filter-chip"
+            aria-pressed={filters.sources.includes(source.value)}
+            onClick={() => toggleValue('sources', source.value)}
+          >
+            {source.label}
+          </button>
+        ))}
+      </div>
+
+      {labels.length > 0 && (
+        <div className="kanban-filter-group" role="group" aria-label="Labels">
+          {labels.map((label) => (
+            <button
+              key={label.id}
+              type="button"
+              className="kanban-filter-chip"
+              aria-pressed={filters.labels.includes(label.id)}
+              onClick={() => toggleValue('labels', label.id)}
+            >
+              <span className="label-swatch" style={{ backgroundColor: label.color }}></span>
+              {label.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="kanban-filter-group kanban-filter-dates">
+        <span>Events</span>
+        <input
+          type="date"
+          value={filters.eventFrom}
+          max={filters.eventTo || undefined}
+          onChange={(e) => update({ eventFrom: e.target.value })}
+          aria-label="Events from"
+        />
+        <span>–</span>
+        <input
+          type="date"
+          value={filters.eventTo}
+          min={filters.eventFrom || undefined}
+          onChange={(e) => update({ eventTo: e.target.value })}
+          aria-label="Events until"
+        />
+      </div>
+
+      <label className="kanban-filter-toggle">
+        <input
+          type="checkbox"
+          checked={filters.hidePastEvents}
+          onChange={(e) => update({ hidePastEvents: e.target.checked })}
+        />
+        Hide past events
+      </label>
+
+      {isFiltering(filters) && (
+        <button type="button" className="kanban-filter-reset" onClick={() => onChange(DEFAULT_FILTERS)}>
+          <X size={14} /> Clear filters
+        </button>
+      )}
+    </div>
+  );
+}
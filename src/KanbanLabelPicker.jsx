@@ -0,0 +1,116 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Tag, Plus, X } from 'lucide-react';
+import { useLabels, createLabel, deleteLabel, LABEL_COLORS } from './labels';
+import './KanbanLabelPicker.css';
+
+// Label button on a card: check labels on and off, or define a new one.
+// `onChange(labelIds)` gets the card's full list of label ids.
+export default function KanbanLabelPicker({ labelIds = [], onChange }) {
+  const labels = useLabels();
+  const [open, setOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState(LABEL_COLORS[0]);
+  const containerRef = useRef(null);
+  const triggerRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handlePointerDown = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('pointerdown', handlePointerDown);
+    return () => document.removeEventListener('pointerdown', handlePointerDown);
+  }, [open]);
+
+  const toggleLabel = (labelId) => {
+    onChange(labelIds.includes(labelId) ? labelIds.filter((id) => id !== labelId) : [...labelIds, labelId]);
+  };
+
+  const removeLabel = (label) => {
+    if (!window.confirm(`Delete the label "${label.name}"? Cards that have it show a gray "${label.id}" chip instead until a label of that name is created again.`)) return;
+    deleteLabel(label.id);
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+    const label = createLabel(name, newColor);
+    onChange([...labelIds, label.id]);
+    setNewName('');
+  };
+
+  const handleKeyDown = (e) => {
+    // Keep keys in the menu away from the card's shortcuts
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+      setOpen(false);
+      triggerRef.current?.focus();
+    }
+  };
+
+  return (
+    <div className="kanban-label-picker" ref={containerRef}>
+      <button
+        type="button"
+        ref={triggerRef}
+        className="kanban-label-picker-btn"
+        onClick={() => setOpen((prev) => !prev)}
+        aria-haspopup="dialog"
+        aria-expanded={open}
+        title="Labels"
+      >
+        <Tag size={14} />
+      </button>
+      {open && (
+        <div className="kanban-label-picker-menu" role="dialog" aria-label="Labels" onKeyDown={handleKeyDown}>
+          {labels.length === 0 && <p className="kanban-label-picker-empty">No labels yet</p>}
+          <ul>
+            {labels.map((label) => (
+              <li key={label.id}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={labelIds.includes(label.id)}
+                    onChange={() => toggleLabel(label.id)}
+                  />
+                  <span className="label-swatch" style={{ backgroundColor: label.color }}></span>
+                  {label.name}
+                </label>
+                <button type="button" onClick={() => removeLabel(label)} title={`Delete label "${label.name}"`}>
+                  <X size={12} />
+                </button>
+              </li>
+            ))}
+          </ul>
+          <form className="kanban-label-picker-add" onSubmit={handleCreate}>
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New label"
+              aria-label="New label name"
+            />
+            <div className="kanban-label-picker-colors" role="radiogroup" aria-label="Label color">
+              {LABEL_COLORS.map((color) => (
+                <button
+                  key={color}
+                  type="button"
+                  role="radio"
+                  aria-checked={color === newColor}
+                  aria-label={color}
+                  className="label-swatch"
+                  style={{ backgroundColor: color }}
+                  onClick={() => setNewColor(color)}
+                ></button>
+              ))}
+            </div>
+            <button type="submit" className="btn-primary" disabled={!newName.trim()}>
+              <Plus size={14} /> Add
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
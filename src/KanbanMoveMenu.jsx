@@ -0,0 +1,87 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ArrowRightLeft } from 'lucide-react';
+import './KanbanMoveMenu.css';
+
+// "Move to…" button on a card, listing the other columns. `columns` is [{ id, title }]
+// in board order; `onMove(columnId)` moves the card to the end of that column.
+export default function KanbanMoveMenu({ columns, currentColumnId, onMove }) {
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+  const triggerRef = useRef(null);
+  const targets = columns.filter((column) => column.id !== currentColumnId);
+
+  const close = (restoreFocus) => {
+    setOpen(false);
+    if (restoreFocus) triggerRef.current?.focus();
+  };
+
+  useEffect(() => {
+    if (!open) return undefined;
+    containerRef.current?.querySelector('[role="menuitem"]')?.focus();
+
+    const handlePointerDown = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('pointerdown', handlePointerDown);
+    return () => document.removeEventListener('pointerdown', handlePointerDown);
+  }, [open]);
+
+  // Arrow keys move between entries; Escape closes and Tab leaves the menu
+  const handleMenuKeyDown = (e) => {
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      close(true);
+      return;
+    }
+    if (e.key === 'Tab') {
+      setOpen(false);
+      return;
+    }
+    if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+    e.preventDefault();
+    const items = [...containerRef.current.querySelectorAll('[role="menuitem"]')];
+    const index = items.indexOf(document.activeElement);
+    const next = (index + (e.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length;
+    items[next].focus();
+  };
+
+  const handleSelect = (columnId) => {
+    close(false);
+    onMove(columnId);
+  };
+
+  if (targets.length === 0) return null;
+
+  return (
+    <div className="kanban-move-menu" ref={containerRef}>
+      <button
+        type="button"
+        ref={triggerRef}
+        className="kanban-move-menu-btn"
+        onClick={() => setOpen((prev) => !prev)}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        title="Move to…"
+      >
+        <ArrowRightLeft size={14} />
+      </button>
+      {open && (
+        <div className="kanban-move-menu-list" role="menu" aria-label="Move to" onKeyDown={handleMenuKeyDown}>
+          <span className="kanban-move-menu-heading">Move to…</span>
+          {targets.map((column) => (
+            <button
+              key={column.id}
+              type="button"
+              role="menuitem"
+              tabIndex={-1}
+              onClick={() => handleSelect(column.id)}
+            >
+              {column.title}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
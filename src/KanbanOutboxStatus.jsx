@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { CloudOff, AlertTriangle, RotateCw, X } from 'lucide-react';
+import { useOutbox, retryMutation, discardMutation, MUTATION_LABELS } from './taskOutbox';
+import './KanbanOutboxStatus.css';
+
+// Header badge for task changes waiting to reach Google Tasks. Opens a list of the
+// queued changes where ones that keep failing can be retried or discarded.
+export default function KanbanOutboxStatus({ onRetry }) {
+  const outbox = useOutbox();
+  const [isOpen, setIsOpen] = useState(false);
+  const failedCount = outbox.filter((mutation) => mutation.failed).length;
+
+  if (outbox.length === 0) return null;
+
+  const retry = (mutationId) => {
+    retryMutation(mutationId);
+    onRetry();
+  };
+
+  return (
+    <div className="kanban-outbox">
+      <button
+        type="button"
+        className={`kanban-outbox-badge ${failedCount > 0 ? 'has-failed' : ''}`}
+        onClick={() => setIsOpen(prev => !prev)}
+        aria-expanded={isOpen}
+        title="Changes waiting to sync with Google Tasks"
+      >
+        {failedCount > 0 ? <AlertTriangle size={14} /> : <CloudOff size={14} />}
+        {outbox.length} pending
+        {failedCount > 0 && ` · ${failedCount} failed`}
+      </button>
+      {isOpen && (
+        <div className="kanban-outbox-panel">
+          <ul>
+            {outbox.map((mutation) => (
+              <li key={mutation.id} className={mutation.failed ? 'failed' : ''}>
+                <div className="kanban-outbox-change">
+                  <strong>{MUTATION_LABELS[mutation.type]}</strong> {mutation.title}
+                  {mutation.lastError && (
+                    <span className="kanban-outbox-error">
+                      {mutation.failed ? 'Failed' : `Retrying (attempt ${mutation.attempts})`}: {mutation.lastError}
+                    </span>
+                  )}
+                </div>
+                {mutation.failed && (
+                  <span className="kanban-outbox-actions">
+                    <button type="button" onClick={() => retry(mutation.id)} title="Retry">
+                      <RotateCw size={14} />
+                    </button>
+                    <button type="button" onClick={() => discardMutation(mutation.id)} title="Discard this change">
+                      <X size={14} />
+                    </button>
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, Plus } from 'lucide-react';
+import { getSubtaskProgress } from './taskUtils';
+import './KanbanSubtasks.css';
+
+// Collapsible subtask checklist shown under a task card, with a progress bar and a
+// field for adding subtasks. The board owns the data; this only reports changes.
+export default function KanbanSubtasks({ item, expanded, onToggleExpanded, onToggleSubtask, onAddSubtask }) {
+  const [newTitle, setNewTitle] = useState('');
+  const subtasks = item.subtasks ?? [];
+  const { done, total } = getSubtaskProgress(subtasks);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const title = newTitle.trim();
+    if (!title) return;
+    onAddSubtask(title);
+    setNewTitle('');
+  };
+
+  return (
+    <div className="kanban-subtasks">
+      <button
+        type="button"
+        className="kanban-subtasks-toggle"
+        onClick={onToggleExpanded}
+        aria-expanded={expanded}
+      >
+        {expanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+        {total > 0 ? `${done} of ${total} done` : 'Subtasks'}
+      </button>
+      {total > 0 && (
+        <div className="kanban-subtasks-progress" role="progressbar" aria-valuemin={0} aria-valuemax={total} aria-valuenow={done}>
+          <div style={{ width: `${(done / total) * 100}%` }}></div>
+        </div>
+      )}
+      {expanded && (
+        <>
+          <ul>
+            {subtasks.map((subtask) => (
+              <li key={subtask.id}>
+                <label className={subtask.status === 'completed' ? 'done' : ''}>
+                  <input
+                    type="checkbox"
+                    checked={subtask.status === 'completed'}
+                    onChange={() => onToggleSubtask(subtask)}
+                  />
+                  {subtask.title}
+                </label>
+              </li>
+            ))}
+          </ul>
+          <form className="kanban-subtasks-add" onSubmit={handleSubmit}>
+            <input
+              type="text"
+              value={newTitle}
+              onChange={(e) => setNewTitle(e.target.value)}
+              placeholder="Add a subtask"
+              aria-label="New subtask"
+            />
+            <button type="submit" disabled={!newTitle.trim()} title="Add subtask">
+              <Plus size={14} />
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,81 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { GripVertical, Plus, X, LogIn, CheckCircle, Circle, Calendar, ListTodo } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { GripVertical, Plus, X, LogIn, CheckCircle, Circle, Calendar, ListTodo, Settings2, ChevronDown, ChevronRight } from 'lucide-react';
 import api from './api';
+import { openEventDrawer, buildEventPayload, eventToFormValues } from './eventUtils';
+import { useTimeZones, toZonedTime, formatTimeInZone } from './timeZone';
+import { useCalendars, getEventColor, eventRequestConfig } from './calendars';
+import { getEventsForRange } from './eventCache';
+import {
+  addDays,
+  parseYMD,
+  startOfDay,
+  getEventStart,
+  shiftEventByDays,
+  withEventTimes,
+  buildEventTimesPayload
+} from './calendarUtils';
+import {
+  useColumnConfig,
+  getColumnConfig,
+  setColumnConfig,
+  getIntakeColumnId,
+  buildEmptyColumns,
+  applyColumnConfig,
+  isOverWipLimit,
+  sortByTaskPosition,
+  mergeItemOrder,
+  moveItem,
+  getPreviousTaskId,
+  stepDropIndex,
+  getDropPosition,
+  sortCards,
+  CARD_SORT_OPTIONS,
+} from './kanbanColumns';
+import {
+  buildTaskUpdate,
+  ymdToDue,
+  getDueStatus,
+  formatDueDate,
+  DUE_STATUS_LABELS,
+  groupSubtasks,
+  getColumnMarker,
+  getLabelIds,
+  stripNoteMarkers,
+  withNoteMarkers,
+} from './taskUtils';
+import KanbanColumnSettings from './KanbanColumnSettings.jsx';
+import KanbanCardEditor from './KanbanCardEditor.jsx';
+import KanbanSubtasks from './KanbanSubtasks.jsx';
+import TaskListSelect from './TaskListSelect.jsx';
+import { useTaskLists, getSelectedTaskListId, taskRequestConfig, DEFAULT_TASK_LIST_ID } from './taskLists';
+import {
+  useOutbox,
+  getOutbox,
+  sendTaskMutation,
+  queueTaskMutation,
+  replayOutbox,
+  hasPendingCreate,
+  getNextAttemptAt,
+} from './taskOutbox';
+import KanbanOutboxStatus from './KanbanOutboxStatus.jsx';
+import KanbanMoveMenu from './KanbanMoveMenu.jsx';
+import { useCardDrag } from './kanbanDrag';
+import { deferAction, hasDeferredAction } from './undo';
+import { runWithConcurrency, countResults, getRangeIds, BULK_RESULT_LABELS } from './kanbanBulk';
+import KanbanBulkBar from './KanbanBulkBar.jsx';
+import KanbanFilterBar from './KanbanFilterBar.jsx';
+import { useKanbanFilters, isFiltering, matchesFilters } from './kanbanFilters';
+import KanbanLabelPicker from './KanbanLabelPicker.jsx';
+import { useLabels, resolveLabels, getEventLabelIds, withEventLabels } from './labels';
+import {
+  useKanbanLanes,
+  getLanes,
+  getCardLaneId,
+  getLaneChanges,
+  isLaneCollapsed,
+  toggleLaneCollapsed,
+  LANE_GROUPINGS,
+} from './kanbanLanes';
 import './kanbanbord.css';
 
 // LocalStorage keys
@@ -10,6 +85,43 @@ const STORAGE_KEYS = {
   LOCAL_TASKS: 'kanban_local_tasks'
 };
 
+// Calendar events the board shows, in days around today: recent ones for the completed
+// column and the upcoming ones. They come from the month cache the calendar views share.
+const EVENT_DAYS_BEFORE = 30;
+const EVENT_DAYS_AFTER = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How many moves and completions Ctrl+Z can take back
+const UNDO_HISTORY_LIMIT = 20;
+
+// A task as it starts out, for working out what adding one in a swimlane gives it
+const NEW_TASK = { type: 'task', labels: [], due: null };
+
+// Each task list keeps its own board; the default list uses the original key
+const getColumnsStorageKey = (taskListId = getSelectedTaskListId()) => (
+  taskListId === DEFAULT_TASK_LIST_ID ? STORAGE_KEYS.COLUMNS : `${STORAGE_KEYS.COLUMNS}:${taskListId}`
+);
+
+const removeStoredColumns = () => {
+  Object.keys(localStorage)
+    .filter(key => key === STORAGE_KEYS.COLUMNS || key.startsWith(`${STORAGE_KEYS.COLUMNS}:`))
+    .forEach(key => localStorage.removeItem(key));
+};
+
+// Local cards whose queued create went through become the Google tasks they now are
+const adoptCreatedCards = (boardColumns, created) => Object.fromEntries(
+  Object.entries(boardColumns).map(([columnId, column]) => [columnId, {
+    ...column,
+    items: (column?.items ?? []).map(item => {
+      const task = created[item.id];
+      return task
+        ? { ...item, id: `task-${task.id}`, originalId: task.id, status: task.status ?? item.status, source: 'google-tasks' }
+        : item;
+    })
+  }])
+);
+
 // Helper to load from localStorage
 const loadFromStorage = (key, defaultValue) => {
   try {
@@ -30,24 +142,35 @@ const saveToStorage = (key, value) => {
   }
 };
 
-const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
-  const [columns, setColumns] = useState(() => loadFromStorage(STORAGE_KEYS.COLUMNS, {
-    todo: {
-      title: 'To Do',
-      items: []
-    },
-    inProgress: {
-      title: 'In Progress',
-      items: []
-    },
-    done: {
-      title: 'Done',
-      items: []
-    }
-  }));
-
-  const [draggedItem, setDraggedItem] = useState(null);
-  const [draggedFrom, setDraggedFrom] = useState(null);
+const KanbanBoard = ({ isAuthenticated: propIsAuthenticated, userEmail }) => {
+  const [columns, setColumns] = useState(() => applyColumnConfig(loadFromStorage(getColumnsStorageKey(), {})));
+  const columnConfig = useColumnConfig();
+  const { completedColumnId } = columnConfig;
+  const [showColumnSettings, setShowColumnSettings] = useState(false);
+  const [editingCard, setEditingCard] = useState(null); // { columnId, item }
+  const [expandedSubtasks, setExpandedSubtasks] = useState(() => new Set()); // card ids
+
+  const { timeZone, secondaryTimeZone } = useTimeZones();
+  const [filters, setFilters] = useKanbanFilters(userEmail);
+  const labels = useLabels();
+  const filtering = isFiltering(filters);
+  const [laneSettings, setLaneSettings] = useKanbanLanes(userEmail);
+  const swimlanes = laneSettings.groupBy !== 'none';
+  const { visibleCalendarIds } = useCalendars();
+  const visibleCalendarKey = visibleCalendarIds.join(',');
+  const lastCalendarKey = useRef(visibleCalendarKey);
+  const { taskLists, selectedTaskListId } = useTaskLists();
+  const lastTaskListId = useRef(selectedTaskListId);
+  const outbox = useOutbox();
+  const boardScrollRef = useRef(null);
+  const [keyboardMove, setKeyboardMove] = useState(null); // { item, sourceColumnId, columnId, index, laneId } of a card picked up with the keyboard
+  const [announcement, setAnnouncement] = useState(''); // read out by screen readers
+  const focusCardId = useRef(null);
+  const undoStack = useRef([]); // { type: 'move', itemId, fromColumnId, index, revert? } or { type: 'delete', cancel }
+  const [selectedIds, setSelectedIds] = useState(() => new Set()); // card ids
+  const selectionAnchor = useRef(null); // card id shift-clicks select from
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [bulkResults, setBulkResults] = useState(null); // { label, items: [{ id, title, status, message }] }
   const [newTaskInput, setNewTaskInput] = useState('');
   const [showInput, setShowInput] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -57,34 +180,64 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
 
   // Save columns to localStorage whenever they change
   useEffect(() => {
-    saveToStorage(STORAGE_KEYS.COLUMNS, columns);
+    saveToStorage(getColumnsStorageKey(), columns);
   }, [columns]);
 
+  // Added, renamed, reordered or deleted columns reshape the board
+  useEffect(() => {
+    setColumns(prev => applyColumnConfig(prev, columnConfig));
+  }, [columnConfig]);
+
   // Fetch tasks from Google Tasks API and Calendar Events
   const fetchTasks = useCallback(async () => {
+    const taskListId = getSelectedTaskListId();
     try {
       setSyncing(true);
       setError(null);
 
+      // Queued task changes go first so the fetched tasks include them
+      const created = getOutbox().length > 0 ? await replayOutbox() : {};
+
       // Fetch both tasks and calendar events in parallel
-      const [tasksRes, eventsRes] = await Promise.all([
-        api.get('/tasks/?show_completed=true', { withCredentials: true }).catch(err => {
-          console.error("Error fetching tasks:", err);
-          return { data: { tasks: [] } };
-        }),
-        api.get('/calendar/events', { withCredentials: true }).catch(err => {
+      const today = toZonedTime(new Date());
+      const [tasksRes, events] = await Promise.all([
+        // Without the tasks, column placement can't be worked out; keep the cached board
+        api.get('/tasks/?show_completed=true', taskRequestConfig(taskListId)),
+        getEventsForRange(addDays(today, -EVENT_DAYS_BEFORE), addDays(today, EVENT_DAYS_AFTER)).catch(err => {
           console.error("Error fetching calendar events:", err);
-          return { data: [] };
+          return [];
         })
       ]);
 
+      // The user switched lists while this was loading
+      if (taskListId !== getSelectedTaskListId()) return;
+
+      const storedBoard = adoptCreatedCards(loadFromStorage(getColumnsStorageKey(), {}), created);
+
+      // Google Tasks has no creation time, so keep the `updated` time the board first saw
+      const storedItems = Object.values(storedBoard).flatMap(column => column?.items ?? []);
+      const knownCreatedAt = new Map(storedItems.map(item => [item.id, item.createdAt]));
+      const storedCards = new Map(storedItems.map(item => [item.id, item]));
+      const pendingCardIds = new Set(getOutbox().map(mutation => mutation.cardId));
+
+      // Subtasks with a change still waiting in the outbox keep the state this browser
+      // gave them, and ones waiting for their create stay at the end
+      const getSubtasks = (task) => {
+        const storedSubtasks = storedCards.get(`task-${task.id}`)?.subtasks ?? [];
+        return [
+          ...(subtasksByParent.get(task.id) ?? []).map(subtask => (
+            pendingCardIds.has(subtask.id) ? storedSubtasks.find(s => s.id === subtask.id) ?? subtask : subtask
+          )),
+          ...storedSubtasks.filter(subtask => hasPendingCreate(subtask.id))
+        ];
+      };
+
       // Process Google Tasks
       const rawTasks = tasksRes.data?.tasks ?? tasksRes.data ?? [];
-      const tasks = Array.isArray(rawTasks) ? rawTasks : [];
-
-      // Process Calendar Events
-      const rawEvents = eventsRes.data ?? [];
-      const events = Array.isArray(rawEvents) ? rawEvents : [];
+      // Subtasks are shown inside their parent's card rather than as cards of their own
+      const { topLevel: tasks, subtasksByParent } = groupSubtasks(
+        sortByTaskPosition(Array.isArray(rawTasks) ? rawTasks : [])
+      );
 
       // Separate tasks by status
       const todoTasks = tasks.filter(t => t.status !== 'completed').map(task => ({
@@ -93,8 +246,13 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
         type: 'task',
         originalId: task.id,
         status: task.status,
-        notes: task.notes || '',
+        notes: stripNoteMarkers(task.notes),
+        columnMarker: getColumnMarker(task.notes),
+        labels: getLabelIds(task.notes),
+        due: task.due || null,
         completed: task.completed || null,
+        createdAt: knownCreatedAt.get(`task-${task.id}`) ?? task.updated ?? null,
+        subtasks: getSubtasks(task),
         source: 'google-tasks'
       }));
 
@@ -104,8 +262,13 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
         type: 'task',
         originalId: task.id,
         status: task.status,
-        notes: task.notes || '',
+        notes: stripNoteMarkers(task.notes),
+        columnMarker: getColumnMarker(task.notes),
+        labels: getLabelIds(task.notes),
+        due: task.due || null,
         completed: task.completed || null,
+        createdAt: knownCreatedAt.get(`task-${task.id}`) ?? task.updated ?? null,
+        subtasks: getSubtasks(task),
         source: 'google-tasks'
       }));
 
@@ -128,7 +291,11 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
           status: 'upcoming',
           eventDate: event.start?.dateTime || event.start?.date,
           isAllDay: !!event.start?.date,
-          source: 'google-calendar'
+          createdAt: event.created ?? null,
+          source: 'google-calendar',
+          calendarId: event.calendarId,
+          labels: getEventLabelIds(event),
+          calendarEvent: event
         }));
 
       // Past events (could be shown as done if needed)
@@ -149,35 +316,83 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
           status: 'past',
           eventDate: event.start?.dateTime || event.start?.date,
           isAllDay: !!event.start?.date,
-          source: 'google-calendar'
+          createdAt: event.created ?? null,
+          source: 'google-calendar',
+          calendarId: event.calendarId,
+          labels: getEventLabelIds(event),
+          calendarEvent: event
         }));
 
-      // Load locally stored "in progress" items to preserve them
-      const storedColumns = loadFromStorage(STORAGE_KEYS.COLUMNS, { inProgress: { items: [] } });
-      const inProgressItems = storedColumns.inProgress?.items || [];
-
-      // Filter out any tasks that have been moved to inProgress from todo
-      const inProgressTaskIds = new Set(inProgressItems.map(i => i.id));
-      const filteredTodoTasks = todoTasks.filter(t => !inProgressTaskIds.has(t.id));
-      const filteredUpcomingEvents = upcomingEvents.filter(e => !inProgressTaskIds.has(e.id));
-
-      const newColumns = {
-        todo: {
-          title: 'To Do',
-          items: [...filteredTodoTasks, ...filteredUpcomingEvents]
-        },
-        inProgress: {
-          title: 'In Progress',
-          items: inProgressItems
-        },
-        done: {
-          title: 'Done',
-          items: [...completedTasks, ...pastEvents]
+      // Open tasks go to the column named by their roaming column marker, or the intake
+      // column; completed tasks always go to the completed column, whatever the marker or
+      // this browser says. Only a change still waiting in the outbox keeps its stored column.
+      const config = getColumnConfig();
+      const intakeColumnId = getIntakeColumnId(config);
+      const storedColumns = applyColumnConfig(storedBoard, config);
+      const localColumnIds = config.columns
+        .map(column => column.id)
+        .filter(id => id !== intakeColumnId && id !== config.completedColumnId);
+      const storedColumnIds = new Map(Object.entries(storedColumns).flatMap(
+        ([columnId, column]) => column.items.map(item => [item.id, columnId])
+      ));
+      // Tasks whose move to another list is still queued are gone from this board
+      const movedAwayIds = new Set(getOutbox()
+        .filter(mutation => mutation.type === 'move' && mutation.payload?.destination_task_list_id)
+        .map(mutation => mutation.cardId));
+      const legacyPlacements = [];
+
+      const freshItems = Object.fromEntries(config.columns.map(column => [column.id, []]));
+      const placeTask = (card) => {
+        const storedColumnId = storedColumnIds.get(card.id);
+        if (movedAwayIds.has(card.id)) return;
+        if (storedColumnId && pendingCardIds.has(card.id)) {
+          freshItems[storedColumnId].push(card);
+        } else if (card.status === 'completed') {
+          freshItems[config.completedColumnId].push(card);
+        } else if (localColumnIds.includes(card.columnMarker)) {
+          freshItems[card.columnMarker].push(card);
+        } else if (localColumnIds.includes(storedColumnId) && storedCards.get(card.id).columnMarker === undefined) {
+          // Placed before columns roamed: keep it there and give it a marker
+          const placed = { ...card, columnMarker: storedColumnId };
+          legacyPlacements.push(placed);
+          freshItems[storedColumnId].push(placed);
+        } else {
+          freshItems[intakeColumnId].push(card);
         }
       };
+      [...todoTasks, ...completedTasks].forEach(placeTask);
+
+      // Events stay in a column they were dragged to; cards not synced yet stay put
+      upcomingEvents.forEach(event => {
+        const storedColumnId = storedColumnIds.get(event.id);
+        freshItems[localColumnIds.includes(storedColumnId) ? storedColumnId : intakeColumnId].push(event);
+      });
+      freshItems[config.completedColumnId].push(...pastEvents);
+      Object.entries(storedColumns).forEach(([columnId, column]) => {
+        freshItems[columnId].push(...column.items.filter(item => item.source === 'local'));
+      });
+
+      // Keep the order cards were dragged into
+      const newColumns = buildEmptyColumns(config);
+      config.columns.forEach(({ id }) => {
+        // Cards whose delete is waiting behind an undo toast stay hidden
+        newColumns[id].items = mergeItemOrder(storedColumns[id].items, freshItems[id])
+          .filter(item => !hasDeferredAction(`card:${item.id}`));
+      });
 
       setColumns(newColumns);
-      saveToStorage(STORAGE_KEYS.COLUMNS, newColumns);
+      saveToStorage(getColumnsStorageKey(), newColumns);
+
+      legacyPlacements.forEach(card => {
+        sendTaskMutation({
+          type: 'update',
+          cardId: card.id,
+          taskId: card.originalId,
+          taskListId,
+          title: card.content,
+          payload: buildTaskUpdate(card)
+        }).catch(err => console.error("Error saving task column:", err));
+      });
 
     } catch (err) {
       console.error("Error fetching tasks:", err);
@@ -201,14 +416,9 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
         fetchTasks();
       } else {
         // Clear all data when logged out
-        const emptyColumns = {
-          todo: { title: 'To Do', items: [] },
-          inProgress: { title: 'In Progress', items: [] },
-          done: { title: 'Done', items: [] }
-        };
-        setColumns(emptyColumns);
+        setColumns(buildEmptyColumns());
         // Clear localStorage
-        localStorage.removeItem(STORAGE_KEYS.COLUMNS);
+        removeStoredColumns();
         localStorage.removeItem(STORAGE_KEYS.LAST_SYNC);
         localStorage.removeItem(STORAGE_KEYS.LOCAL_TASKS);
         setLoading(false);
@@ -218,6 +428,35 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
     }
   }, [propIsAuthenticated, fetchTasks]);
 
+  // Showing or hiding a calendar changes which events belong on the board
+  useEffect(() => {
+    if (lastCalendarKey.current === visibleCalendarKey) return;
+    lastCalendarKey.current = visibleCalendarKey;
+    if (isAuthenticated) fetchTasks();
+  }, [visibleCalendarKey, isAuthenticated, fetchTasks]);
+
+  // Switching task lists swaps in that list's board
+  useEffect(() => {
+    if (lastTaskListId.current === selectedTaskListId) return;
+    lastTaskListId.current = selectedTaskListId;
+    setColumns(applyColumnConfig(loadFromStorage(getColumnsStorageKey(selectedTaskListId), {})));
+    if (isAuthenticated) fetchTasks();
+  }, [selectedTaskListId, isAuthenticated, fetchTasks]);
+
+  // Replay queued task changes when the connection comes back, and retry them after their backoff
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    window.addEventListener('online', fetchTasks);
+    return () => window.removeEventListener('online', fetchTasks);
+  }, [isAuthenticated, fetchTasks]);
+
+  useEffect(() => {
+    const nextAttemptAt = getNextAttemptAt();
+    if (!isAuthenticated || nextAttemptAt === null || !navigator.onLine) return;
+    const timeout = setTimeout(fetchTasks, Math.max(nextAttemptAt - Date.now(), 0));
+    return () => clearTimeout(timeout);
+  }, [outbox, isAuthenticated, fetchTasks]);
+
   // Auto-sync every 5 minutes
   useEffect(() => {
     if (!isAuthenticated) return;
@@ -268,13 +507,8 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
       } else {
         setIsAuthenticated(false);
         // Clear all data when not authenticated
-        const emptyColumns = {
-          todo: { title: 'To Do', items: [] },
-          inProgress: { title: 'In Progress', items: [] },
-          done: { title: 'Done', items: [] }
-        };
-        setColumns(emptyColumns);
-        localStorage.removeItem(STORAGE_KEYS.COLUMNS);
+        setColumns(buildEmptyColumns());
+        removeStoredColumns();
         localStorage.removeItem(STORAGE_KEYS.LAST_SYNC);
         localStorage.removeItem(STORAGE_KEYS.LOCAL_TASKS);
         setLoading(false);
@@ -283,81 +517,127 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
       console.error('Auth check failed:', err);
       setIsAuthenticated(false);
       // Clear all data on auth error
-      const emptyColumns = {
-        todo: { title: 'To Do', items: [] },
-        inProgress: { title: 'In Progress', items: [] },
-        done: { title: 'Done', items: [] }
-      };
-      setColumns(emptyColumns);
-      localStorage.removeItem(STORAGE_KEYS.COLUMNS);
+      setColumns(buildEmptyColumns());
+      removeStoredColumns();
       localStorage.removeItem(STORAGE_KEYS.LAST_SYNC);
       localStorage.removeItem(STORAGE_KEYS.LOCAL_TASKS);
       setLoading(false);
     }
   };
 
-  const onDragStart = (e, item, columnId) => {
-    setDraggedItem(item);
-    setDraggedFrom(columnId);
-    e.dataTransfer.effectAllowed = 'move';
-  };
+  // Swimlanes split each column by an attribute of its cards; the lane a card is in and
+  // the lanes' titles come from kanbanLanes.js
+  const laneContext = { timeZone, taskListId: selectedTaskListId, labels, taskLists };
+  const lanes = swimlanes
+    ? getLanes(laneSettings.groupBy, Object.values(columns).flatMap(column => column.items), laneContext)
+    : [];
+  const getLaneId = (item) => (swimlanes ? getCardLaneId(item, laneSettings.groupBy, laneContext) : undefined);
+  const getLaneTitle = (laneId) => lanes.find(lane => lane.id === laneId)?.title ?? '';
+
+  // Sorted columns show cards by due date or age, filtered ones hide some cards and
+  // swimlanes split them, so cards can only be dropped into them
+  const isSortedColumn = (columnId) => filtering || swimlanes || (
+    (columnConfig.columns.find(column => column.id === columnId)?.sortBy ?? 'manual') !== 'manual'
+  );
 
-  const onDragOver = (e) => {
-    e.preventDefault();
-    e.dataTransfer.dropEffect = 'move';
+  // Tasks that exist in Google Tasks, or will once their queued create goes through
+  const isSyncedTask = (item) => item.type === 'task'
+    && ((item.originalId && item.source === 'google-tasks') || hasPendingCreate(item.id));
+
+  // Task changes go through the outbox, which queues them when they can't be sent
+  const toTaskMutation = (type, item, payload, taskListId = getSelectedTaskListId()) => ({
+    type,
+    cardId: item.id,
+    taskId: item.originalId,
+    taskListId,
+    title: item.content,
+    payload
+  });
+  const sendTaskChange = (...args) => sendTaskMutation(toTaskMutation(...args));
+
+  // Columns between intake and completed, which Google Tasks only knows from the column marker
+  const isLocalColumn = (columnId) => (
+    columnId !== completedColumnId && columnId !== getIntakeColumnId(columnConfig)
+  );
+
+  // Resolves to the card with its new marker
+  const syncColumnMarker = async (item, targetColumnId) => {
+    const columnMarker = isLocalColumn(targetColumnId) ? targetColumnId : null;
+    if (columnMarker === (item.columnMarker ?? null)) return item;
+    const movedItem = { ...item, columnMarker };
+    updateCardById(item.id, card => ({ ...card, columnMarker }));
+    await sendTaskChange('update', movedItem, buildTaskUpdate(movedItem));
+    return movedItem;
   };
 
-  const onDrop = async (e, targetColumnId) => {
-    e.preventDefault();
+  // Push a card's place in its column to Google Tasks
+  const syncTaskPosition = (item, items) => sendTaskChange(
+    'move',
+    item,
+    { previous_task_id: getPreviousTaskId(items, item.id) }
+  );
 
-    if (!draggedItem || !draggedFrom) return;
-    if (draggedFrom === targetColumnId) {
-      setDraggedItem(null);
-      setDraggedFrom(null);
-      return;
+  // A dragged card dropped at `index` of a column (counted before the move). Resolves
+  // to the card as it ends up, with its new status and column marker.
+  const moveCard = async (item, sourceColumnId, targetColumnId, index, { recordUndo = true } = {}) => {
+    // Dropped right above or below itself
+    const fromIndex = columns[sourceColumnId].items.findIndex(i => i.id === item.id);
+    if (sourceColumnId === targetColumnId && (index === fromIndex || index === fromIndex + 1 || isSortedColumn(targetColumnId))) {
+      setAnnouncement(`${item.content} stays in ${columns[sourceColumnId].title}`);
+      return item;
     }
 
-    const item = draggedItem;
-    const sourceColumnId = draggedFrom;
-
     // Update UI immediately for better UX
-    const newColumns = { ...columns };
-    newColumns[sourceColumnId].items = newColumns[sourceColumnId].items.filter(
-      i => i.id !== item.id
-    );
-    newColumns[targetColumnId].items = [...newColumns[targetColumnId].items, item];
+    const previousColumns = columns;
+    const newColumns = moveItem(columns, item.id, sourceColumnId, targetColumnId, index);
     setColumns(newColumns);
-    saveToStorage(STORAGE_KEYS.COLUMNS, newColumns);
-
-    setDraggedItem(null);
-    setDraggedFrom(null);
+    saveToStorage(getColumnsStorageKey(), newColumns);
+    const targetItems = newColumns[targetColumnId].items;
+    setAnnouncement(sourceColumnId === targetColumnId
+      ? `${item.content} moved to position ${targetItems.findIndex(i => i.id === item.id) + 1} of ${targetItems.length} in ${newColumns[targetColumnId].title}`
+      : `${item.content} moved to ${newColumns[targetColumnId].title}`);
+    if (recordUndo) pushUndo({ type: 'move', itemId: item.id, fromColumnId: sourceColumnId, index: fromIndex });
+
+    if (isSyncedTask(item)) {
+      try {
+        await syncTaskPosition(item, newColumns[targetColumnId].items);
+      } catch (err) {
+        // Google Tasks refused the move; the order stays as the user left it
+        console.error("Error syncing task position:", err);
+        setError('Failed to sync task order. Order saved locally.');
+      }
+    }
+    if (sourceColumnId === targetColumnId) return item;
 
     // Sync with Google Tasks API (only for task items, not calendar events)
-    if (item.type === 'task' && item.originalId && item.source === 'google-tasks') {
+    if (isSyncedTask(item)) {
       try {
-        if (targetColumnId === 'done') {
+        let movedItem = item;
+        if (targetColumnId === completedColumnId) {
           // Mark task as completed in Google Tasks
-          await api.put(`/tasks/${item.originalId}/complete`, {}, { withCredentials: true });
-          console.log('Task marked as completed in Google Tasks');
+          await sendTaskChange('complete', item);
+          movedItem = { ...item, status: 'completed' };
 
           // Update item status locally
           setColumns(prev => {
             const updated = {
               ...prev,
-              done: {
-                ...prev.done,
-                items: prev.done.items.map(i =>
+              [completedColumnId]: {
+                ...prev[completedColumnId],
+                items: prev[completedColumnId].items.map(i =>
                   i.id === item.id ? { ...i, status: 'completed' } : i
                 )
               }
             };
-            saveToStorage(STORAGE_KEYS.COLUMNS, updated);
+            saveToStorage(getColumnsStorageKey(), updated);
             return updated;
           });
-        } else if (sourceColumnId === 'done' && (targetColumnId === 'todo' || targetColumnId === 'inProgress')) {
-          // Moving from done to todo/inProgress - mark as uncompleted
-          await api.put(`/tasks/${item.originalId}/uncomplete`, {}, { withCredentials: true });
-          console.log('Task marked as uncompleted in Google Tasks');
+
+          if (confirmCompleteSubtasks(item)) await completeSubtasks(item);
+        } else if (sourceColumnId === completedColumnId) {
+          // Moving out of the completed column - mark as uncompleted
+          await sendTaskChange('uncomplete', item);
+          movedItem = { ...item, status: 'needsAction' };
 
           // Update item status locally
           setColumns(prev => {
@@ -370,23 +650,270 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
                 )
               }
             };
-            saveToStorage(STORAGE_KEYS.COLUMNS, updated);
+            saveToStorage(getColumnsStorageKey(), updated);
             return updated;
           });
         }
-        // Note: Moving between todo and inProgress is local-only (Google Tasks doesn't have this state)
+
+        return await syncColumnMarker(movedItem, targetColumnId);
       } catch (err) {
         console.error("Error syncing task status:", err);
         // Revert on error
-        setColumns(columns);
-        saveToStorage(STORAGE_KEYS.COLUMNS, columns);
+        setColumns(previousColumns);
+        saveToStorage(getColumnsStorageKey(), previousColumns);
         setError('Failed to sync task status. Changes saved locally.');
       }
     }
     // Calendar events are local-only when moving between columns
+    return item;
+  };
+
+  // A card dropped in another swimlane takes on its due week, label or task list. Cards
+  // the lane doesn't fit, like calendar events in a due week, only change column.
+  const dropCard = async (item, sourceColumnId, targetColumnId, index, laneId) => {
+    const fromLaneId = getLaneId(item);
+    if (laneId === undefined || laneId === fromLaneId) {
+      await moveCard(item, sourceColumnId, targetColumnId, index);
+      return;
+    }
+
+    const { changes, reason } = getLaneChanges(item, laneSettings.groupBy, fromLaneId, laneId);
+    if (reason) {
+      if (sourceColumnId !== targetColumnId) await moveCard(item, sourceColumnId, targetColumnId, index);
+      setAnnouncement(`${item.content} stays in ${getLaneTitle(fromLaneId)}. ${reason}`);
+      return;
+    }
+
+    // The task leaves this board for the other list
+    if (changes.taskListId) {
+      if (!isSyncedTask(item) || !item.originalId) {
+        setAnnouncement(`${item.content} can't move to another list until it is synced.`);
+        return;
+      }
+      setAnnouncement(`${item.content} moved to ${getLaneTitle(laneId)}`);
+      await moveToTaskList(sourceColumnId, item, changes.taskListId);
+      return;
+    }
+
+    pushUndo({
+      type: 'move',
+      itemId: item.id,
+      fromColumnId: sourceColumnId,
+      index: columns[sourceColumnId].items.findIndex(i => i.id === item.id),
+      revert: Object.fromEntries(Object.keys(changes).map(key => [key, item[key] ?? null]))
+    });
+    const movedItem = sourceColumnId === targetColumnId
+      ? item
+      : await moveCard(item, sourceColumnId, targetColumnId, index, { recordUndo: false });
+    setAnnouncement(`${item.content} moved to ${getLaneTitle(laneId)}, ${columns[targetColumnId].title}`);
+    await changeCard(movedItem, changes);
+  };
+
+  const { drag, dropTarget, startCardDrag, suppressClickAfterDrag } = useCardDrag({
+    onDrop: dropCard,
+    isSortedColumn,
+    scrollContainerRef: boardScrollRef
+  });
+
+  const pushUndo = (entry) => {
+    undoStack.current = [...undoStack.current, entry].slice(-UNDO_HISTORY_LIMIT);
+  };
+
+  // Ctrl+Z: move the last moved or completed card back, or take back a delete that
+  // hasn't been sent yet. Deletes that already went through are skipped.
+  const undoLastChange = () => {
+    while (undoStack.current.length > 0) {
+      const entry = undoStack.current[undoStack.current.length - 1];
+      undoStack.current = undoStack.current.slice(0, -1);
+      if (entry.type === 'delete') {
+        if (entry.cancel()) return;
+        continue;
+      }
+
+      const currentColumnId = Object.keys(columns).find(columnId => (
+        columns[columnId].items.some(i => i.id === entry.itemId)
+      ));
+      if (!currentColumnId || !columns[entry.fromColumnId]) continue;
+      const items = columns[currentColumnId].items;
+      const currentIndex = items.findIndex(i => i.id === entry.itemId);
+      // Drop indexes count the card itself when it stays in its column
+      const index = currentColumnId === entry.fromColumnId && entry.index > currentIndex ? entry.index + 1 : entry.index;
+      focusCardId.current = document.activeElement?.dataset.cardId === entry.itemId ? entry.itemId : null;
+      if (entry.revert) moveCardBack(items[currentIndex], currentColumnId, entry, index);
+      else moveCard(items[currentIndex], currentColumnId, entry.fromColumnId, index, { recordUndo: false });
+      return;
+    }
+    setAnnouncement('Nothing to undo');
   };
 
-  const addTask = async (columnId) => {
+  // Undo a swimlane drop: back to its column, and the due date or labels it had before
+  const moveCardBack = async (item, currentColumnId, { fromColumnId, revert }, index) => {
+    const movedItem = currentColumnId === fromColumnId
+      ? item
+      : await moveCard(item, currentColumnId, fromColumnId, index, { recordUndo: false });
+    setAnnouncement(`${item.content} moved back`);
+    await changeCard(movedItem, revert);
+  };
+
+  const undoLastChangeRef = useRef(undoLastChange);
+  useEffect(() => {
+    undoLastChangeRef.current = undoLastChange;
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.shiftKey || e.altKey || e.key.toLowerCase() !== 'z') return;
+      // Text fields keep their own undo
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      e.preventDefault();
+      undoLastChangeRef.current();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Focus a card once it has re-rendered, e.g. in the column it was moved to
+  useEffect(() => {
+    if (!focusCardId.current) return;
+    boardScrollRef.current?.querySelector(`[data-card-id="${CSS.escape(focusCardId.current)}"]`)?.focus();
+    focusCardId.current = null;
+  });
+
+  const getBoardColumnIds = () => columnConfig.columns.map(column => column.id).filter(columnId => columns[columnId]);
+
+  const getAdjacentColumnId = (columnId, key) => {
+    const columnIds = getBoardColumnIds();
+    return columnIds[columnIds.indexOf(columnId) + (key === 'ArrowRight' ? 1 : -1)];
+  };
+
+  // Up and down move between the swimlanes that are open
+  const getAdjacentLaneId = (laneId, key) => {
+    const laneIds = lanes.filter(lane => !isLaneCollapsed(laneSettings, lane.id)).map(lane => lane.id);
+    return laneIds[laneIds.indexOf(laneId) + (key === 'ArrowDown' ? 1 : -1)];
+  };
+
+  const describeDropTarget = ({ item, sourceColumnId, columnId, index, laneId }) => {
+    const { title, items } = columns[columnId];
+    if (laneId !== undefined) return `${getLaneTitle(laneId)}, ${title}`;
+    if (isSortedColumn(columnId)) return title;
+    const fromIndex = columnId === sourceColumnId ? items.findIndex(i => i.id === item.id) : -1;
+    const { position, total } = getDropPosition(index, fromIndex, items.length);
+    return `${title}, position ${position} of ${total}`;
+  };
+
+  // A card picked up with the keyboard shows where it would land; nothing moves until it is dropped
+  const pickUpCard = (item, columnId) => {
+    const { items } = columns[columnId];
+    setKeyboardMove({
+      item,
+      sourceColumnId: columnId,
+      columnId,
+      index: isSortedColumn(columnId) ? items.length : items.findIndex(i => i.id === item.id),
+      laneId: getLaneId(item)
+    });
+    setAnnouncement(`Picked up ${item.content} in ${columns[columnId].title}. Use the arrow keys to move it, Space to drop it and Escape to cancel.`);
+  };
+
+  const stepKeyboardMove = (key) => {
+    const move = keyboardMove;
+    let next;
+    if ((key === 'ArrowUp' || key === 'ArrowDown') && swimlanes) {
+      const laneId = getAdjacentLaneId(move.laneId, key);
+      if (laneId === undefined) return;
+      next = { ...move, laneId };
+    } else if (key === 'ArrowUp' || key === 'ArrowDown') {
+      if (isSortedColumn(move.columnId)) return;
+      const { items } = columns[move.columnId];
+      const fromIndex = move.columnId === move.sourceColumnId ? items.findIndex(i => i.id === move.item.id) : -1;
+      next = { ...move, index: stepDropIndex(move.index, fromIndex, key === 'ArrowDown' ? 1 : -1, items.length) };
+    } else {
+      const columnId = getAdjacentColumnId(move.columnId, key);
+      if (!columnId) return;
+      const { items } = columns[columnId];
+      let index = Math.min(move.index, items.length);
+      if (isSortedColumn(columnId)) index = items.length;
+      else if (columnId === move.sourceColumnId) index = items.findIndex(i => i.id === move.item.id);
+      next = { ...move, columnId, index };
+    }
+    if (next.columnId === move.columnId && next.index === move.index && next.laneId === move.laneId) return;
+    setKeyboardMove(next);
+    setAnnouncement(describeDropTarget(next));
+  };
+
+  const dropKeyboardMove = () => {
+    const { item, sourceColumnId, columnId, index, laneId } = keyboardMove;
+    setKeyboardMove(null);
+    focusCardId.current = item.id;
+    dropCard(item, sourceColumnId, columnId, index, laneId);
+  };
+
+  const cancelKeyboardMove = () => {
+    setAnnouncement(`Move cancelled. ${keyboardMove.item.content} stays in ${columns[keyboardMove.sourceColumnId].title}.`);
+    setKeyboardMove(null);
+  };
+
+  // Without a card picked up, arrow keys move focus between cards of a column, or of a
+  // column's cell in the card's swimlane
+  const focusNeighbourCard = (columnId, index, key, laneId) => {
+    let targetColumnId = columnId;
+    let targetIndex = index + (key === 'ArrowDown' ? 1 : -1);
+    if (key === 'ArrowLeft' || key === 'ArrowRight') {
+      targetColumnId = getAdjacentColumnId(columnId, key);
+      if (!targetColumnId) return;
+    }
+    const laneSelector = laneId === undefined ? '' : `[data-lane-id="${CSS.escape(laneId)}"]`;
+    const cards = boardScrollRef.current
+      ?.querySelector(`[data-column-id="${CSS.escape(targetColumnId)}"]${laneSelector}`)
+      ?.querySelectorAll('[data-card-index]') ?? [];
+    if (targetIndex >= 0) cards[Math.min(targetIndex, cards.length - 1)]?.focus();
+  };
+
+  const onCardKeyDown = (e, item, columnId, index, laneId) => {
+    // Keys pressed on the card's own buttons and fields are theirs
+    if (e.target !== e.currentTarget) return;
+    const isMoving = keyboardMove?.item.id === item.id;
+
+    if (e.key === ' ' || (e.key === 'Enter' && isMoving)) {
+      e.preventDefault();
+      if (isMoving) dropKeyboardMove();
+      else pickUpCard(item, columnId);
+    } else if (e.key === 'Escape' && isMoving) {
+      e.preventDefault();
+      cancelKeyboardMove();
+    } else if (e.key === 'Escape' && selectedIds.size > 0) {
+      e.preventDefault();
+      clearSelection();
+    } else if (e.key.startsWith('Arrow')) {
+      e.preventDefault();
+      if (isMoving) stepKeyboardMove(e.key);
+      else focusNeighbourCard(columnId, index, e.key, laneId);
+    } else if (isMoving) {
+      return;
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      openCard(columnId, item);
+    } else if (e.key.toLowerCase() === 'x') {
+      toggleCardSelected(item.id);
+    } else if (e.key.toLowerCase() === 'c' && item.type === 'task') {
+      focusCardId.current = item.id;
+      toggleTaskComplete(columnId, item);
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      const column = e.currentTarget.closest('[data-column-id]');
+      const neighbour = column.querySelector(`[data-card-index="${index + 1}"]`)
+        ?? column.querySelector(`[data-card-index="${index - 1}"]`);
+      focusCardId.current = neighbour?.dataset.cardId ?? null;
+      deleteItem(columnId, item);
+    }
+  };
+
+  const openCard = (columnId, item) => {
+    if (item.type === 'event') openEventDrawer(item.calendarEvent ?? item.originalId, item.calendarId);
+    else setEditingCard({ columnId, item });
+  };
+
+  // Tasks added in a swimlane get its due week or label (`laneChanges`, see getLaneChanges)
+  const addTask = async (columnId, laneChanges = {}) => {
     if (!newTaskInput.trim()) return;
 
     const taskTitle = newTaskInput.trim();
@@ -394,7 +921,9 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
     setShowInput(null);
 
     // Determine if task should be created as completed
-    const isCompleted = columnId === 'done';
+    const isCompleted = columnId === completedColumnId;
+
+    const columnItems = columns[columnId].items;
 
     // Create a temporary local task first
     const tempId = `local-${Date.now()}`;
@@ -404,7 +933,11 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
       type: 'task',
       originalId: null,
       status: isCompleted ? 'completed' : 'needsAction',
-      notes: "Added via Kanban Board",
+      notes: '',
+      columnMarker: isLocalColumn(columnId) ? columnId : null,
+      labels: laneChanges.labels ?? [],
+      due: laneChanges.due ?? null,
+      createdAt: new Date().toISOString(),
       source: 'local'
     };
 
@@ -417,7 +950,7 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
           items: [...prev[columnId].items, tempTask]
         }
       };
-      saveToStorage(STORAGE_KEYS.COLUMNS, updated);
+      saveToStorage(getColumnsStorageKey(), updated);
       return updated;
     });
 
@@ -426,12 +959,14 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
       try {
         setSyncing(true);
 
-        // Create task in Google Tasks API
-        const response = await api.post('/tasks/', {
+        // Create task in Google Tasks API; offline it is queued and the local card stays
+        const { response, queued } = await sendTaskChange('create', tempTask, {
           title: taskTitle,
-          notes: "Added via Kanban Board",
-          status: isCompleted ? 'completed' : 'needsAction'
-        }, { withCredentials: true });
+          notes: withNoteMarkers('', { columnId: tempTask.columnMarker, labelIds: tempTask.labels }),
+          status: isCompleted ? 'completed' : 'needsAction',
+          ...(tempTask.due ? { due: tempTask.due } : {})
+        });
+        if (queued) return;
 
         const newTask = {
           id: `task-${response.data.id}`,
@@ -439,16 +974,23 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
           type: 'task',
           originalId: response.data.id,
           status: response.data.status,
-          notes: response.data.notes || '',
+          notes: stripNoteMarkers(response.data.notes),
+          columnMarker: tempTask.columnMarker,
+          labels: tempTask.labels,
+          due: response.data.due || null,
+          createdAt: tempTask.createdAt,
           source: 'google-tasks'
         };
 
         // If created as completed, also mark it complete via the API
         if (isCompleted && response.data.id) {
-          await api.put(`/tasks/${response.data.id}/complete`, {}, { withCredentials: true });
+          await sendTaskChange('complete', newTask);
           newTask.status = 'completed';
         }
 
+        // Google Tasks puts new tasks first; move it to the end, where the board shows it
+        await syncTaskPosition(newTask, [...columnItems, newTask]);
+
         // Replace temp task with real task
         setColumns(prev => {
           const updated = {
@@ -460,7 +1002,7 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
               )
             }
           };
-          saveToStorage(STORAGE_KEYS.COLUMNS, updated);
+          saveToStorage(getColumnsStorageKey(), updated);
           return updated;
         });
 
@@ -469,7 +1011,7 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
 
       } catch (err) {
         console.error("Error creating task:", err);
-        setError('Task saved locally. Will sync when online.');
+        setError('Failed to create task in Google Tasks. Saved locally.');
         // Keep the local task - it's already in the state
       } finally {
         setSyncing(false);
@@ -480,8 +1022,14 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
   const toggleTaskComplete = async (columnId, item) => {
     if (item.type !== 'task') return;
 
-    const isCurrentlyCompleted = columnId === 'done';
-    const targetColumnId = isCurrentlyCompleted ? 'todo' : 'done';
+    const isCurrentlyCompleted = columnId === completedColumnId;
+    const targetColumnId = isCurrentlyCompleted ? getIntakeColumnId(columnConfig) : completedColumnId;
+    pushUndo({
+      type: 'move',
+      itemId: item.id,
+      fromColumnId: columnId,
+      index: columns[columnId].items.findIndex(i => i.id === item.id)
+    });
 
     // Update UI immediately
     const newColumns = { ...columns };
@@ -491,63 +1039,489 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
       status: isCurrentlyCompleted ? 'needsAction' : 'completed'
     }];
     setColumns(newColumns);
-    saveToStorage(STORAGE_KEYS.COLUMNS, newColumns);
+    saveToStorage(getColumnsStorageKey(), newColumns);
+    setAnnouncement(`${item.content} ${isCurrentlyCompleted ? 'reopened' : 'marked complete'}`);
 
     // Sync with Google Tasks if it's a synced task
-    if (item.originalId && item.source === 'google-tasks') {
+    if (isSyncedTask(item)) {
       try {
-        if (isCurrentlyCompleted) {
-          await api.put(`/tasks/${item.originalId}/uncomplete`, {}, { withCredentials: true });
-        } else {
-          await api.put(`/tasks/${item.originalId}/complete`, {}, { withCredentials: true });
-        }
-        window.dispatchEvent(new CustomEvent('kanban-task-completed'));
+        const { queued } = await sendTaskChange(isCurrentlyCompleted ? 'uncomplete' : 'complete', item);
+        await syncColumnMarker(item, targetColumnId);
+        if (!isCurrentlyCompleted && confirmCompleteSubtasks(item)) await completeSubtasks(item);
+        if (!queued) window.dispatchEvent(new CustomEvent('kanban-task-completed'));
       } catch (err) {
         console.error("Error toggling task:", err);
         setColumns(columns); // Revert
-        saveToStorage(STORAGE_KEYS.COLUMNS, columns);
+        saveToStorage(getColumnsStorageKey(), columns);
         setError('Failed to update task. Changes saved locally.');
       }
     }
   };
 
-  const deleteItem = async (columnId, item) => {
-    // Remove from state immediately
+  // Replace a card wherever it is on the board
+  const updateCardById = (itemId, update) => {
     setColumns(prev => {
-      const updated = {
-        ...prev,
-        [columnId]: {
-          ...prev[columnId],
-          items: prev[columnId].items.filter(i => i.id !== item.id)
+      const updated = Object.fromEntries(Object.entries(prev).map(([columnId, column]) => [
+        columnId,
+        { ...column, items: column.items.map(i => (i.id === itemId ? update(i) : i)) }
+      ]));
+      saveToStorage(getColumnsStorageKey(), updated);
+      return updated;
+    });
+  };
+
+  const setSubtaskStatus = (itemId, subtaskIds, status) => updateCardById(itemId, card => ({
+    ...card,
+    subtasks: (card.subtasks ?? []).map(s => (subtaskIds.includes(s.id) ? { ...s, status } : s))
+  }));
+
+  // Completing a task with open subtasks offers to complete them too
+  const confirmCompleteSubtasks = (item) => {
+    const openCount = (item.subtasks ?? []).filter(s => s.status !== 'completed').length;
+    return openCount > 0
+      && window.confirm(`Also complete the ${openCount} open subtask${openCount === 1 ? '' : 's'} of "${item.content}"?`);
+  };
+
+  // Subtask changes queue in the outbox like card changes, under the subtask's own id.
+  // Subtasks still waiting for their create have a `local-subtask-…` id.
+  const sendSubtaskChange = (type, subtask, payload) => sendTaskMutation({
+    type,
+    cardId: subtask.id,
+    taskId: subtask.id.startsWith('local-') ? null : subtask.id,
+    taskListId: getSelectedTaskListId(),
+    title: subtask.title,
+    payload
+  });
+
+  const completeSubtasks = async (item) => {
+    const openSubtasks = (item.subtasks ?? []).filter(s => s.status !== 'completed');
+    const ids = openSubtasks.map(s => s.id);
+    setSubtaskStatus(item.id, ids, 'completed');
+
+    const results = await Promise.allSettled(
+      openSubtasks.map(subtask => sendSubtaskChange('complete', subtask))
+    );
+    const failedIds = ids.filter((id, index) => results[index].status === 'rejected');
+    if (failedIds.length > 0) {
+      console.error("Error completing subtasks:", results.filter(r => r.status === 'rejected').map(r => r.reason));
+      setSubtaskStatus(item.id, failedIds, 'needsAction'); // Revert
+      setError('Failed to complete some subtasks. Please try again.');
+    }
+  };
+
+  const toggleSubtask = async (item, subtask) => {
+    const isCompleted = subtask.status === 'completed';
+    setSubtaskStatus(item.id, [subtask.id], isCompleted ? 'needsAction' : 'completed');
+
+    try {
+      await sendSubtaskChange(isCompleted ? 'uncomplete' : 'complete', subtask);
+    } catch (err) {
+      console.error("Error toggling subtask:", err);
+      setSubtaskStatus(item.id, [subtask.id], subtask.status); // Revert
+      setError('Failed to update subtask. Please try again.');
+    }
+  };
+
+  const addSubtask = async (item, title) => {
+    const tempSubtask = { id: `local-subtask-${Date.now()}`, title, status: 'needsAction' };
+    const lastSubtask = (item.subtasks ?? []).filter(s => !s.id.startsWith('local-')).at(-1);
+    updateCardById(item.id, card => ({ ...card, subtasks: [...(card.subtasks ?? []), tempSubtask] }));
+
+    // Offline the create is queued and the subtask keeps its local id until it goes through
+    let created = tempSubtask;
+    try {
+      const { response, queued } = await sendSubtaskChange('create', tempSubtask, { title, parent_id: item.originalId });
+      if (!queued) {
+        created = { id: response.data.id, title: response.data.title, status: response.data.status };
+        updateCardById(item.id, card => ({
+          ...card,
+          subtasks: card.subtasks.map(s => (s.id === tempSubtask.id ? created : s))
+        }));
+      }
+    } catch (err) {
+      console.error("Error adding subtask:", err);
+      updateCardById(item.id, card => ({ ...card, subtasks: card.subtasks.filter(s => s.id !== tempSubtask.id) }));
+      setError('Failed to add subtask. Please try again.');
+      return;
+    }
+
+    // Google Tasks puts new subtasks first; move it to the end, where the card shows it
+    if (lastSubtask) {
+      try {
+        await sendSubtaskChange('move', created, { parent_id: item.originalId, previous_task_id: lastSubtask.id });
+      } catch (err) {
+        console.error("Error syncing subtask position:", err);
+      }
+    }
+  };
+
+  const toggleSubtasksExpanded = (itemId) => {
+    setExpandedSubtasks(prev => {
+      const next = new Set(prev);
+      if (next.has(itemId)) {
+        next.delete(itemId);
+      } else {
+        next.add(itemId);
+      }
+      return next;
+    });
+  };
+
+  // Change fields of a task wherever it is on the board
+  const updateTask = async (item, changes) => {
+    // Update UI immediately
+    const updatedItem = { ...item, ...changes };
+    updateCardById(item.id, card => ({ ...card, ...changes }));
+
+    // Sync with Google Tasks if it's a synced task
+    if (isSyncedTask(item)) {
+      try {
+        await sendTaskChange('update', updatedItem, buildTaskUpdate(updatedItem));
+      } catch (err) {
+        console.error("Error updating task:", err);
+        const previous = Object.fromEntries(Object.keys(changes).map(key => [key, item[key]]));
+        updateCardById(item.id, card => ({ ...card, ...previous })); // Revert
+        setError('Failed to update task. Please try again.');
+      }
+    }
+  };
+
+  // Tasks keep their labels in their notes and events in a private extended property
+  const setCardLabels = async (item, labelIds) => {
+    if (item.type === 'task') {
+      await updateTask(item, { labels: labelIds });
+      return;
+    }
+
+    const calendarEvent = withEventLabels(item.calendarEvent, labelIds);
+    updateCardById(item.id, card => ({ ...card, labels: labelIds, calendarEvent }));
+    try {
+      const { payload, error: payloadError } = buildEventPayload(eventToFormValues(item.calendarEvent));
+      if (payloadError) throw new Error(payloadError);
+      await api.put(
+        `/calendar/events/${item.originalId}`,
+        { ...payload, extended_properties: calendarEvent.extendedProperties },
+        eventRequestConfig(item.calendarEvent)
+      );
+      window.dispatchEvent(new CustomEvent('calendar-event-updated', { detail: { eventId: item.originalId, event: calendarEvent } }));
+    } catch (err) {
+      console.error("Error saving event labels:", err);
+      updateCardById(item.id, card => ({ ...card, labels: item.labels ?? [], calendarEvent: item.calendarEvent })); // Revert
+      setError('Failed to save event labels. Please try again.');
+    }
+  };
+
+  // The due date or labels a swimlane gives a card
+  const changeCard = (item, changes) => (
+    'labels' in changes ? setCardLabels(item, changes.labels) : updateTask(item, changes)
+  );
+
+  const setColumnSort = (columnId, sortBy) => {
+    setColumnConfig({
+      ...columnConfig,
+      columns: columnConfig.columns.map(column => (column.id === columnId ? { ...column, sortBy } : column))
+    });
+  };
+
+  // Google Tasks moves the task (and its subtasks) to the other list, which this board doesn't show
+  const moveToTaskList = async (columnId, item, taskListId) => {
+    const setCardInColumn = (present) => {
+      setColumns(prev => {
+        const items = prev[columnId].items.filter(i => i.id !== item.id);
+        const updated = {
+          ...prev,
+          [columnId]: { ...prev[columnId], items: present ? [...items, item] : items }
+        };
+        saveToStorage(getColumnsStorageKey(), updated);
+        return updated;
+      });
+    };
+
+    setCardInColumn(false);
+    try {
+      await sendTaskChange('move', item, { destination_task_list_id: taskListId });
+    } catch (err) {
+      console.error("Error moving task to another list:", err);
+      setCardInColumn(true); // Revert
+      setError('Failed to move task to the other list. Please try again.');
+    }
+  };
+
+  const saveCard = async (columnId, item, changes, taskListId) => {
+    await updateTask(item, changes);
+    if (taskListId !== getSelectedTaskListId()) await moveToTaskList(columnId, { ...item, ...changes }, taskListId);
+  };
+
+  const closeCardEditor = useCallback(() => setEditingCard(null), []);
+
+  // Put deleted cards back where they were ({ item, columnId, index } each), unless the
+  // board has switched to another list since
+  const restoreCards = (cards, taskListId) => {
+    if (taskListId !== getSelectedTaskListId()) return;
+    setColumns(prev => {
+      const updated = { ...prev };
+      [...cards].sort((a, b) => a.index - b.index).forEach(({ item, columnId, index }) => {
+        const targetColumnId = updated[columnId] ? columnId : getIntakeColumnId(getColumnConfig());
+        const items = [...updated[targetColumnId].items];
+        items.splice(Math.min(Math.max(index, 0), items.length), 0, item);
+        updated[targetColumnId] = { ...updated[targetColumnId], items };
+      });
+      saveToStorage(getColumnsStorageKey(), updated);
+      return updated;
+    });
+  };
+
+  const removeCards = (itemIds) => {
+    setColumns(prev => {
+      const updated = Object.fromEntries(Object.entries(prev).map(([columnId, column]) => [
+        columnId,
+        { ...column, items: column.items.filter(i => !itemIds.includes(i.id)) }
+      ]));
+      saveToStorage(getColumnsStorageKey(), updated);
+      return updated;
+    });
+  };
+
+  // Cards leave the board right away; the delete itself waits behind an undo toast
+  const deleteItem = (columnId, item) => {
+    const card = { item, columnId, index: columns[columnId].items.findIndex(i => i.id === item.id) };
+    const taskListId = getSelectedTaskListId();
+
+    // Remove from state immediately
+    removeCards([item.id]);
+    setAnnouncement(`${item.content} deleted`);
+
+    const cancel = deferAction({
+      key: `card:${item.id}`,
+      message: `Deleted "${item.content}"`,
+      commit: async () => {
+        // Calendar events and local tasks are deleted locally only
+        if (!isSyncedTask(item)) return;
+        try {
+          const { queued } = await sendTaskChange('delete', item, undefined, taskListId);
+          if (!queued) window.dispatchEvent(new CustomEvent('kanban-task-deleted'));
+        } catch (err) {
+          console.error("Error deleting task:", err);
+          restoreCards([card], taskListId);
+          setError('Failed to delete task. Please try again.');
         }
+      },
+      commitOnUnload: () => {
+        if (isSyncedTask(item)) queueTaskMutation(toTaskMutation('delete', item, undefined, taskListId));
+      },
+      undo: () => {
+        restoreCards([card], taskListId);
+        setAnnouncement(`${item.content} restored`);
+      }
+    });
+    pushUndo({ type: 'delete', cancel });
+  };
+
+  // Selected cards still on the board and not filtered out, as { item, columnId, index }
+  const selectedCards = Object.entries(columns).flatMap(([columnId, column]) => column.items
+    .map((item, index) => ({ item, columnId, index }))
+    .filter(({ item }) => selectedIds.has(item.id) && matchesFilters(item, filters, timeZone)));
+
+  const toggleCardSelected = (itemId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(itemId)) next.delete(itemId);
+      else next.add(itemId);
+      return next;
+    });
+    selectionAnchor.current = itemId;
+  };
+
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    selectionAnchor.current = null;
+  };
+
+  // Ctrl/Cmd-click toggles a card and Shift-click selects the cards between it and the
+  // last one clicked in the same column; `items` is the column in the order shown
+  const onCardClickCapture = (e, item, items) => {
+    suppressClickAfterDrag(e);
+    if (e.isPropagationStopped() || !(e.shiftKey || e.ctrlKey || e.metaKey)) return;
+    if (e.target.closest('button, select, textarea, a, input:not(.item-select)')) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const anchor = selectionAnchor.current;
+    if (e.shiftKey && anchor && items.some(i => i.id === anchor)) {
+      setSelectedIds(prev => new Set([...prev, ...getRangeIds(items, anchor, item.id)]));
+    } else {
+      toggleCardSelected(item.id);
+    }
+  };
+
+  // Run `worker` over the cards a few at a time and report each card's result. The
+  // worker resolves to nothing when the change went through, or to { status, message }.
+  const runBulkAction = async (label, cards, worker) => {
+    setBulkBusy(true);
+    setBulkResults(null);
+    const settled = await runWithConcurrency(cards, worker);
+    const items = settled.map(({ item: { item }, status, value, error }) => (status === 'fulfilled'
+      ? { id: item.id, title: item.content, status: value?.status ?? 'done', message: value?.message ?? null }
+      : {
+        id: item.id,
+        title: item.content,
+        status: 'failed',
+        message: error.response?.data?.detail ?? error.message ?? 'Request failed'
+      }));
+    setBulkResults({ label, items });
+    setBulkBusy(false);
+    const summary = Object.entries(countResults(items))
+      .map(([status, count]) => `${count} ${BULK_RESULT_LABELS[status].toLowerCase()}`)
+      .join(', ');
+    setAnnouncement(`${label}: ${summary}`);
+  };
+
+  // Move the selected cards to the end of a column, completing or reopening tasks that
+  // cross the completed column. `skipReason(card)` names cards to leave alone.
+  const bulkMove = (label, targetColumnId, skipReason) => {
+    const cards = selectedCards;
+    const moving = cards.filter(card => !skipReason(card));
+    const movingIds = moving.map(({ item }) => item.id);
+
+    // Update UI immediately; each card goes back on its own if its change fails
+    setColumns(prev => {
+      const updated = Object.fromEntries(Object.entries(prev).map(([columnId, column]) => [
+        columnId,
+        { ...column, items: column.items.filter(i => !movingIds.includes(i.id)) }
+      ]));
+      updated[targetColumnId] = {
+        ...updated[targetColumnId],
+        items: [...updated[targetColumnId].items, ...moving.map(({ item }) => item)]
       };
-      saveToStorage(STORAGE_KEYS.COLUMNS, updated);
+      saveToStorage(getColumnsStorageKey(), updated);
       return updated;
     });
 
-    // Sync with backend for Google Tasks
-    if (item.type === 'task' && item.originalId && item.source === 'google-tasks') {
+    return runBulkAction(label, cards, async (card) => {
+      const { item, columnId } = card;
+      const reason = skipReason(card);
+      if (reason) return { status: 'skipped', message: reason };
+      if (!isSyncedTask(item)) return undefined;
+
       try {
-        await api.delete(`/tasks/${item.originalId}`, { withCredentials: true });
-        window.dispatchEvent(new CustomEvent('kanban-task-deleted'));
+        let queued = false;
+        if (targetColumnId === completedColumnId) {
+          ({ queued } = await sendTaskChange('complete', item));
+          updateCardById(item.id, c => ({ ...c, status: 'completed' }));
+        } else if (columnId === completedColumnId) {
+          ({ queued } = await sendTaskChange('uncomplete', item));
+          updateCardById(item.id, c => ({ ...c, status: 'needsAction' }));
+        }
+        await syncColumnMarker(item, targetColumnId);
+        return queued ? { status: 'queued' } : undefined;
       } catch (err) {
-        console.error("Error deleting task:", err);
-        // Revert on error
+        console.error("Error moving task:", err);
         setColumns(prev => {
-          const updated = {
-            ...prev,
-            [columnId]: {
-              ...prev[columnId],
-              items: [...prev[columnId].items, item]
-            }
-          };
-          saveToStorage(STORAGE_KEYS.COLUMNS, updated);
+          const moved = Object.values(prev).flatMap(column => column.items).find(i => i.id === item.id) ?? item;
+          const updated = Object.fromEntries(Object.entries(prev).map(([id, column]) => [
+            id,
+            { ...column, items: column.items.filter(i => i.id !== item.id) }
+          ]));
+          updated[columnId] = { ...updated[columnId], items: [...updated[columnId].items, { ...moved, status: item.status }] };
+          saveToStorage(getColumnsStorageKey(), updated);
           return updated;
         });
-        setError('Failed to delete task. Please try again.');
+        throw err;
       }
+    });
+  };
+
+  const bulkComplete = () => bulkMove('Complete', completedColumnId, ({ columnId }) => (
+    columnId === completedColumnId ? 'Already completed' : null
+  ));
+
+  const bulkUncomplete = () => bulkMove('Reopen', getIntakeColumnId(columnConfig), ({ columnId }) => (
+    columnId !== completedColumnId ? 'Not completed' : null
+  ));
+
+  const bulkMoveTo = (targetColumnId) => bulkMove(`Move to ${columns[targetColumnId].title}`, targetColumnId, ({ columnId }) => (
+    columnId === targetColumnId ? `Already in ${columns[targetColumnId].title}` : null
+  ));
+
+  // An event card moved to the day `ymd`, keeping its time of day and length. Only
+  // this occurrence of a recurring event moves.
+  const rescheduleEventCard = async (item, ymd) => {
+    const event = item.calendarEvent;
+    if (!event) return { status: 'skipped', message: 'Event not loaded yet' };
+    const dayOffset = Math.round((parseYMD(ymd) - startOfDay(getEventStart(event))) / DAY_MS);
+    if (dayOffset === 0) return { status: 'skipped', message: 'Already on that day' };
+
+    const { start, end } = shiftEventByDays(event, dayOffset);
+    const updated = withEventTimes(event, start, end);
+    updateCardById(item.id, card => ({
+      ...card,
+      eventDate: updated.start.dateTime || updated.start.date,
+      calendarEvent: updated
+    }));
+    try {
+      await api.put(`/calendar/events/${item.originalId}`, buildEventTimesPayload(event, start, end), eventRequestConfig(event));
+      window.dispatchEvent(new CustomEvent('calendar-event-updated', { detail: { eventId: item.originalId, event: updated } }));
+      return undefined;
+    } catch (err) {
+      console.error("Error rescheduling event:", err);
+      updateCardById(item.id, card => ({ ...card, eventDate: item.eventDate, calendarEvent: event })); // Revert
+      throw err;
     }
-    // Calendar events and local tasks are deleted locally only
+  };
+
+  const bulkReschedule = (ymd) => {
+    const due = ymdToDue(ymd);
+    return runBulkAction(ymd ? 'Reschedule' : 'Clear due date', selectedCards, async ({ item }) => {
+      if (item.type === 'event') {
+        return ymd ? rescheduleEventCard(item, ymd) : { status: 'skipped', message: 'Calendar events always have a date' };
+      }
+      const updatedItem = { ...item, due };
+      updateCardById(item.id, card => ({ ...card, due }));
+      if (!isSyncedTask(item)) return undefined;
+      try {
+        const { queued } = await sendTaskChange('update', updatedItem, buildTaskUpdate(updatedItem));
+        return queued ? { status: 'queued' } : undefined;
+      } catch (err) {
+        console.error("Error rescheduling task:", err);
+        updateCardById(item.id, card => ({ ...card, due: item.due })); // Revert
+        throw err;
+      }
+    });
+  };
+
+  // One undo toast for the whole selection; the deletes go out once it runs out
+  const bulkDelete = () => {
+    const cards = selectedCards;
+    if (cards.length === 0) return;
+    const taskListId = getSelectedTaskListId();
+    removeCards(cards.map(({ item }) => item.id));
+    clearSelection();
+    setAnnouncement(`${cards.length} card${cards.length === 1 ? '' : 's'} deleted`);
+
+    const cancel = deferAction({
+      key: `cards:${cards.map(({ item }) => item.id).join(',')}`,
+      covers: cards.map(({ item }) => `card:${item.id}`),
+      message: `Deleted ${cards.length} card${cards.length === 1 ? '' : 's'}`,
+      commit: () => runBulkAction('Delete', cards, async (card) => {
+        // Calendar events and local tasks are deleted locally only
+        if (!isSyncedTask(card.item)) return undefined;
+        try {
+          const { queued } = await sendTaskChange('delete', card.item, undefined, taskListId);
+          return queued ? { status: 'queued' } : undefined;
+        } catch (err) {
+          console.error("Error deleting task:", err);
+          restoreCards([card], taskListId);
+          throw err;
+        }
+      }),
+      commitOnUnload: () => cards.filter(({ item }) => isSyncedTask(item)).forEach(({ item }) => {
+        queueTaskMutation(toTaskMutation('delete', item, undefined, taskListId));
+      }),
+      undo: () => {
+        restoreCards(cards, taskListId);
+        setAnnouncement(`${cards.length} card${cards.length === 1 ? '' : 's'} restored`);
+      }
+    });
+    pushUndo({ type: 'delete', cancel });
   };
 
   const handleLogin = () => {
@@ -563,6 +1537,17 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
     );
   }
 
+  // A task's due date with its due-status badge; completed tasks show the date alone
+  const renderDueDate = (item, isDoneColumn) => {
+    const status = isDoneColumn ? null : getDueStatus(item.due);
+    return (
+      <span className={`item-due ${status ?? ''}`}>
+        {formatDueDate(item.due)}
+        {status && <span className="due-badge">{DUE_STATUS_LABELS[status]}</span>}
+      </span>
+    );
+  };
+
   // Helper to format event date/time
   const formatEventTime = (item) => {
     if (item.type !== 'event' || !item.eventDate) return null;
@@ -570,12 +1555,232 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
     if (item.isAllDay) {
       return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
     }
-    return date.toLocaleString([], {
+    const label = toZonedTime(date, timeZone).toLocaleString([], {
       month: 'short',
       day: 'numeric',
       hour: '2-digit',
       minute: '2-digit'
     });
+    return secondaryTimeZone ? `${label} (${formatTimeInZone(date, secondaryTimeZone)})` : label;
+  };
+
+  const boardColumns = columnConfig.columns.filter(({ id }) => columns[id]);
+
+  // A column, or its cell in a swimlane
+  const renderColumn = ({ id: columnId, wipLimit, sortBy = 'manual' }, lane) => {
+    const column = columns[columnId];
+    const cellItems = lane ? column.items.filter(item => getLaneId(item) === lane.id) : column.items;
+    const items = sortCards(cellItems, sortBy, timeZone).filter(item => matchesFilters(item, filters, timeZone));
+    const activeDropTarget = dropTarget ?? keyboardMove;
+    const isDropColumn = activeDropTarget?.columnId === columnId && activeDropTarget.laneId === lane?.id;
+    const showDropIndicator = isDropColumn && !isSortedColumn(columnId);
+    const isDoneColumn = columnId === completedColumnId;
+    const overLimit = isOverWipLimit({ wipLimit }, column.items.length);
+    // Tasks added in a lane get its attribute; lanes a new task can't fit have no add button
+    const cellKey = lane ? `${lane.id}:${columnId}` : columnId;
+    const { changes: newTaskChanges } = lane
+      ? getLaneChanges(NEW_TASK, laneSettings.groupBy, getLaneId(NEW_TASK), lane.id)
+      : { changes: {} };
+    const canAddTask = Boolean(newTaskChanges) && !newTaskChanges.taskListId;
+    return (
+      <div
+        key={columnId}
+        className={`kanban-column ${columnId} ${isDoneColumn ? 'completed-column' : ''} ${overLimit ? 'over-limit' : ''} ${isDropColumn && !showDropIndicator ? 'drop-target' : ''}`}
+        data-column-id={columnId}
+        data-lane-id={lane?.id}
+        data-card-count={column.items.length}
+      >
+        <div className="kanban-column-header">
+          <h2>
+            {isDoneColumn ? '✅ ' : columnId === getIntakeColumnId(columnConfig) ? '📝 ' : '🔄 '}
+            {column.title}
+            <span
+              className="kanban-count"
+              title={overLimit ? `Over the work-in-progress limit of ${wipLimit}` : undefined}
+            >
+              {filtering && `${items.length} of `}
+              {cellItems.length}
+              {!lane && wipLimit ? ` / ${wipLimit}` : null}
+            </span>
+          </h2>
+          <select
+            className="kanban-sort-select"
+            value={sortBy}
+            onChange={(e) => setColumnSort(columnId, e.target.value)}
+            aria-label={`Sort ${column.title}`}
+          >
+            {CARD_SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {canAddTask && (
+            <button
+              onClick={() => setShowInput(cellKey)}
+              className="add-task-btn"
+              title="Add task"
+            >
+              <Plus size={20} />
+            </button>
+          )}
+        </div>
+
+        <div className="kanban-items-list">
+          {showInput === cellKey && (
+            <div className="kanban-input-area">
+              <input
+                type="text"
+                value={newTaskInput}
+                onChange={(e) => setNewTaskInput(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && addTask(columnId, newTaskChanges)}
+                placeholder="Enter task title..."
+                className="kanban-input"
+                autoFocus
+              />
+              <div className="kanban-input-actions">
+                <button onClick={() => addTask(columnId, newTaskChanges)} className="btn-primary">
+                  Add Task
+                </button>
+                <button
+                  onClick={() => { setShowInput(null); setNewTaskInput(''); }}
+                  className="btn-secondary"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
+          {cellItems.length === 0 && !showInput && (
+            <div className="empty-column">
+              <p>No tasks here</p>
+            </div>
+          )}
+
+          {cellItems.length > 0 && items.length === 0 && (
+            <div className="empty-column">
+              <p>No cards match the filters</p>
+            </div>
+          )}
+
+          {items.map((item, index) => (
+            <React.Fragment key={item.id}>
+              {showDropIndicator && activeDropTarget.index === index && (
+                <div className="kanban-drop-indicator"></div>
+              )}
+              <div
+                data-card-index={index}
+                data-card-id={item.id}
+                tabIndex={0}
+                role="group"
+                aria-label={`${item.content}, ${lane ? `${lane.title}, ` : ''}${column.title}`}
+                aria-describedby="kanban-card-help"
+                onKeyDown={(e) => onCardKeyDown(e, item, columnId, index, lane?.id)}
+                onPointerDown={(e) => startCardDrag(e, item, columnId)}
+                onClickCapture={(e) => onCardClickCapture(e, item, items)}
+                className={`kanban-item ${isDoneColumn ? 'completed' : ''} ${item.type === 'event' ? 'event-item' : ''} ${drag?.item.id === item.id ? 'dragging' : ''} ${keyboardMove?.item.id === item.id ? 'picked-up' : ''} ${selectedIds.has(item.id) ? 'selected' : ''}`}
+                style={item.type === 'event' ? { borderLeftColor: getEventColor(item.calendarEvent) } : undefined}
+              >
+                <div className="item-content">
+                  <input
+                    type="checkbox"
+                    className="item-select"
+                    checked={selectedIds.has(item.id)}
+                    onChange={() => toggleCardSelected(item.id)}
+                    aria-label={`Select ${item.content}`}
+                  />
+                  {item.type === 'task' && (
+                    <button
+                      onClick={() => toggleTaskComplete(columnId, item)}
+                      className="toggle-complete-btn"
+                      title={isDoneColumn ? 'Mark as incomplete' : 'Mark as complete'}
+                    >
+                      {isDoneColumn ? (
+                        <CheckCircle size={18} className="check-icon completed" />
+                      ) : (
+                        <Circle size={18} className="check-icon" />
+                      )}
+                    </button>
+                  )}
+                  {item.type === 'event' && (
+                    <span className="event-icon" title="Calendar Event" style={{ color: getEventColor(item.calendarEvent) }}>
+                      <Calendar size={16} />
+                    </span>
+                  )}
+                  <div
+                    className="item-text clickable"
+                    onClick={() => openCard(columnId, item)}
+                    title={item.type === 'event' ? 'View event details' : 'Edit task'}
+                  >
+                    <p className={isDoneColumn ? 'task-completed' : ''}>
+                      {item.content}
+                    </p>
+                    {item.type === 'event' && item.eventDate && (
+                      <span className="event-time">{formatEventTime(item)}</span>
+                    )}
+                    {item.type === 'task' && item.notes && (
+                      <span className="item-notes">{item.notes}</span>
+                    )}
+                    {item.type === 'task' && item.due && renderDueDate(item, isDoneColumn)}
+                    {item.source === 'local' && (
+                      <span className="local-badge">Local</span>
+                    )}
+                    {item.labels?.length > 0 && (
+                      <span className="item-labels">
+                        {resolveLabels(item.labels, labels).map(label => (
+                          <span key={label.id} className="label-chip" style={{ backgroundColor: label.color }}>
+                            {label.name}
+                          </span>
+                        ))}
+                      </span>
+                    )}
+                  </div>
+                </div>
+                <div className="item-footer">
+                  <span className="item-source">
+                    {item.source === 'google-tasks' && <ListTodo size={12} title="Google Task" />}
+                    {item.source === 'google-calendar' && <Calendar size={12} title="Calendar Event" />}
+                  </span>
+                  <GripVertical size={14} className="grip-icon" />
+                  {(item.type === 'task' || item.calendarEvent) && (
+                    <KanbanLabelPicker
+                      labelIds={item.labels}
+                      onChange={(labelIds) => setCardLabels(item, labelIds)}
+                    />
+                  )}
+                  <KanbanMoveMenu
+                    columns={getBoardColumnIds().map(id => ({ id, title: columns[id].title }))}
+                    currentColumnId={columnId}
+                    onMove={(targetColumnId) => {
+                      focusCardId.current = item.id;
+                      moveCard(item, columnId, targetColumnId, columns[targetColumnId].items.length);
+                    }}
+                  />
+                  <button
+                    onClick={() => deleteItem(columnId, item)}
+                    className="delete-item-btn"
+                    title="Delete"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+                {item.source === 'google-tasks' && item.originalId && (
+                  <KanbanSubtasks
+                    item={item}
+                    expanded={expandedSubtasks.has(item.id)}
+                    onToggleExpanded={() => toggleSubtasksExpanded(item.id)}
+                    onToggleSubtask={(subtask) => toggleSubtask(item, subtask)}
+                    onAddSubtask={(title) => addSubtask(item, title)}
+                  />
+                )}
+              </div>
+            </React.Fragment>
+          ))}
+          {showDropIndicator && activeDropTarget.index === items.length && (
+            <div className="kanban-drop-indicator"></div>
+          )}
+        </div>
+      </div>
+    );
   };
 
   if (!isAuthenticated) {
@@ -595,128 +1800,125 @@ const KanbanBoard = ({ isAuthenticated: propIsAuthenticated }) => {
   }
 
   return (
-    <div className="kanban-board-container">
+    <div className={`kanban-board-container ${selectedCards.length > 0 ? 'selecting' : ''}`}>
       <div className="kanban-header">
         <h1 className="kanban-title">📋 Tasks & Events Board</h1>
         <div className="kanban-header-actions">
-          {error && <span className="error-message">{error}</span>}
+          {error && <span className="error-message" role="alert">{error}</span>}
           {syncing && <span className="syncing-indicator">Syncing...</span>}
+          <KanbanOutboxStatus onRetry={fetchTasks} />
+          <TaskListSelect />
+          <label className="kanban-lane-select">
+            Swimlanes
+            <select
+              value={laneSettings.groupBy}
+              onChange={(e) => setLaneSettings({ ...laneSettings, groupBy: e.target.value })}
+            >
+              {LANE_GROUPINGS.map(grouping => (
+                <option key={grouping.value} value={grouping.value}>{grouping.label}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            type="button"
+            className={`kanban-settings-btn ${showColumnSettings ? 'active' : ''}`}
+            onClick={() => setShowColumnSettings(prev => !prev)}
+            title="Add, rename, reorder or delete columns"
+          >
+            <Settings2 size={16} /> Columns
+          </button>
         </div>
       </div>
 
-      <div className="kanban-columns-wrapper">
-        {Object.entries(columns).map(([columnId, column]) => (
-          <div
-            key={columnId}
-            className={`kanban-column ${columnId}`}
-            onDragOver={onDragOver}
-            onDrop={(e) => onDrop(e, columnId)}
-          >
-            <div className="kanban-column-header">
-              <h2>
-                {columnId === 'done' ? '✅ ' : columnId === 'inProgress' ? '🔄 ' : '📝 '}
-                {column.title}
-                <span className="kanban-count">{column.items.length}</span>
-              </h2>
-              <button
-                onClick={() => setShowInput(columnId)}
-                className="add-task-btn"
-                title="Add task"
-              >
-                <Plus size={20} />
-              </button>
-            </div>
-
-            <div className="kanban-items-list">
-              {showInput === columnId && (
-                <div className="kanban-input-area">
-                  <input
-                    type="text"
-                    value={newTaskInput}
-                    onChange={(e) => setNewTaskInput(e.target.value)}
-                    onKeyPress={(e) => e.key === 'Enter' && addTask(columnId)}
-                    placeholder="Enter task title..."
-                    className="kanban-input"
-                    autoFocus
-                  />
-                  <div className="kanban-input-actions">
-                    <button onClick={() => addTask(columnId)} className="btn-primary">
-                      Add Task
-                    </button>
-                    <button
-                      onClick={() => { setShowInput(null); setNewTaskInput(''); }}
-                      className="btn-secondary"
-                    >
-                      Cancel
-                    </button>
-                  </div>
-                </div>
-              )}
-
-              {column.items.length === 0 && !showInput && (
-                <div className="empty-column">
-                  <p>No tasks here</p>
-                </div>
-              )}
-
-              {column.items.map((item) => (
-                <div
-                  key={item.id}
-                  draggable
-                  onDragStart={(e) => onDragStart(e, item, columnId)}
-                  className={`kanban-item ${columnId === 'done' ? 'completed' : ''} ${item.type === 'event' ? 'event-item' : ''}`}
+      {showColumnSettings && (
+        <KanbanColumnSettings
+          counts={Object.fromEntries(Object.entries(columns).map(([columnId, column]) => [columnId, column.items.length]))}
+          onClose={() => setShowColumnSettings(false)}
+        />
+      )}
+
+      <p id="kanban-card-help" className="kanban-sr-only">
+        Press Space to pick up a card, the arrow keys to move it, and Space again to drop it or Escape to cancel.
+        Enter opens a card, C completes or reopens a task, X selects it and Delete removes it. Ctrl+Z undoes the last change.
+      </p>
+      <div className="kanban-sr-only" role="status" aria-live="polite">{announcement}</div>
+
+      <KanbanFilterBar filters={filters} onChange={setFilters} />
+
+      {(selectedCards.length > 0 || bulkBusy || bulkResults) && (
+        <KanbanBulkBar
+          count={selectedCards.length}
+          columns={getBoardColumnIds().map(id => ({ id, title: columns[id].title }))}
+          results={bulkResults}
+          busy={bulkBusy}
+          onComplete={bulkComplete}
+          onUncomplete={bulkUncomplete}
+          onMove={bulkMoveTo}
+          onReschedule={bulkReschedule}
+          onDelete={bulkDelete}
+          onClear={clearSelection}
+          onDismissResults={() => setBulkResults(null)}
+        />
+      )}
+
+      {editingCard && (
+        <KanbanCardEditor
+          key={editingCard.item.id}
+          item={editingCard.item}
+          onSave={(changes, taskListId) => saveCard(editingCard.columnId, editingCard.item, changes, taskListId)}
+          onClose={closeCardEditor}
+        />
+      )}
+
+      <div className={`kanban-columns-wrapper ${swimlanes ? 'with-lanes' : ''}`} ref={boardScrollRef}>
+        {!swimlanes && boardColumns.map(column => renderColumn(column))}
+        {lanes.map(lane => {
+          const collapsed = isLaneCollapsed(laneSettings, lane.id);
+          const laneItems = Object.values(columns).flatMap(column => column.items).filter(item => getLaneId(item) === lane.id);
+          return (
+            <section key={lane.id} className={`kanban-lane ${collapsed ? 'collapsed' : ''}`} aria-label={lane.title}>
+              <div className="kanban-lane-header">
+                <button
+                  type="button"
+                  className="kanban-lane-toggle"
+                  aria-expanded={!collapsed}
+                  onClick={() => setLaneSettings(toggleLaneCollapsed(laneSettings, lane.id))}
                 >
-                  <div className="item-content">
-                    {item.type === 'task' && (
-                      <button
-                        onClick={() => toggleTaskComplete(columnId, item)}
-                        className="toggle-complete-btn"
-                        title={columnId === 'done' ? 'Mark as incomplete' : 'Mark as complete'}
-                      >
-                        {columnId === 'done' ? (
-                          <CheckCircle size={18} className="check-icon completed" />
-                        ) : (
-                          <Circle size={18} className="check-icon" />
-                        )}
-                      </button>
-                    )}
-                    {item.type === 'event' && (
-                      <span className="event-icon" title="Calendar Event">
-                        <Calendar size={16} />
-                      </span>
-                    )}
-                    <div className="item-text">
-                      <p className={columnId === 'done' ? 'task-completed' : ''}>
-                        {item.content}
-                      </p>
-                      {item.type === 'event' && item.eventDate && (
-                        <span className="event-time">{formatEventTime(item)}</span>
-                      )}
-                      {item.source === 'local' && (
-                        <span className="local-badge">Local</span>
-                      )}
-                    </div>
-                  </div>
-                  <div className="item-footer">
-                    <span className="item-source">
-                      {item.source === 'google-tasks' && <ListTodo size={12} title="Google Task" />}
-                      {item.source === 'google-calendar' && <Calendar size={12} title="Calendar Event" />}
-                    </span>
-                    <GripVertical size={14} className="grip-icon" />
-                    <button
-                      onClick={() => deleteItem(columnId, item)}
-                      className="delete-item-btn"
-                      title="Delete"
-                    >
-                      <X size={14} />
-                    </button>
-                  </div>
+                  {collapsed ? <ChevronRight size={16} /> : <ChevronDown size={16} />}
+                  {lane.color && <span className="kanban-lane-swatch" style={{ backgroundColor: lane.color }}></span>}
+                  {lane.title}
+                  <span className="kanban-count">
+                    {filtering && `${laneItems.filter(item => matchesFilters(item, filters, timeZone)).length} of `}
+                    {laneItems.length}
+                  </span>
+                </button>
+                {lane.hint && <span className="kanban-lane-hint">{lane.hint}</span>}
+              </div>
+              {!collapsed && (
+                <div className="kanban-lane-columns">
+                  {boardColumns.map(column => renderColumn(column, lane))}
                 </div>
-              ))}
-            </div>
-          </div>
-        ))}
+              )}
+            </section>
+          );
+        })}
       </div>
+
+      {drag && (
+        <div
+          className={`kanban-item kanban-drag-ghost ${drag.item.type === 'event' ? 'event-item' : ''}`}
+          style={{
+            left: drag.x - drag.offsetX,
+            top: drag.y - drag.offsetY,
+            width: drag.width,
+            borderLeftColor: drag.item.type === 'event' ? getEventColor(drag.item.calendarEvent) : undefined
+          }}
+          aria-hidden="true"
+        >
+          <p>{drag.item.content}</p>
+          <GripVertical size={14} className="grip-icon" />
+        </div>
+      )}
     </div>
   );
 };
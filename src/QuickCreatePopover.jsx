@@ -0,0 +1,118 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import './QuickCreatePopover.css';
+import api from './api';
+import { buildEventPayload, openCreateForm } from './eventUtils';
+import { addDays, parseYMD, toYMD, toTimeInputValue } from './calendarUtils';
+
+const POPOVER_WIDTH = 300;
+const POPOVER_HEIGHT = 260;
+
+// Keep the popover on screen next to the click or drag that opened it
+const getPosition = ({ x, y }) => ({
+  left: Math.max(8, Math.min(x + 8, window.innerWidth - POPOVER_WIDTH - 8)),
+  top: Math.max(8, Math.min(y + 8, window.innerHeight - POPOVER_HEIGHT - 8)),
+});
+
+// Small form for creating an event from the calendar. `draft` holds the wall-clock
+// start/end picked on the grid; "More options" moves everything to the full form.
+export default function QuickCreatePopover({ draft, anchor, onClose }) {
+  const [summary, setSummary] = useState('');
+  const [date, setDate] = useState(toYMD(draft.start));
+  const [startTime, setStartTime] = useState(toTimeInputValue(draft.start));
+  const [endTime, setEndTime] = useState(toTimeInputValue(draft.end));
+  const [allDay, setAllDay] = useState(Boolean(draft.allDay));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // An end at or before the start (e.g. a selection ending at midnight) is on the next day
+  const getValues = () => ({
+    summary,
+    allDay,
+    startDate: date,
+    startTime: allDay ? '' : startTime,
+    endDate: !allDay && date && endTime && endTime <= startTime ? toYMD(addDays(parseYMD(date), 1)) : date,
+    endTime: allDay ? '' : endTime,
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { payload, error } = buildEventPayload(getValues());
+    if (error) {
+      toast.warn(error);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const res = await api.post('/calendar/events', payload, { withCredentials: true });
+      const created = res.data?.event ?? res.data;
+      toast.success('Event created successfully.');
+      window.dispatchEvent(new CustomEvent('calendar-event-added', {
+        detail: { eventId: created?.id, event: created },
+      }));
+      onClose();
+    } catch (err) {
+      console.error('Failed to create event:', err);
+      toast.error(err.response?.data?.detail ?? err.message ?? 'Failed to create event');
+      setSaving(false);
+    }
+  };
+
+  const openFullForm = () => {
+    openCreateForm(getValues());
+    onClose();
+  };
+
+  return (
+    <div className="quick-create-backdrop" onClick={onClose}>
+      <form
+        className="quick-create"
+        role="dialog"
+        aria-label="Quick create event"
+        style={getPosition(anchor)}
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleSubmit}
+      >
+        <input
+          className="quick-create-title"
+          type="text"
+          value={summary}
+          onChange={(e) => setSummary(e.target.value)}
+          placeholder="Add title"
+          aria-label="Title"
+          autoFocus
+        />
+        <div className="quick-create-row">
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} aria-label="Date" />
+          <label className="quick-create-allday">
+            <input type="checkbox" checked={allDay} onChange={(e) => setAllDay(e.target.checked)} />
+            All day
+          </label>
+        </div>
+        {!allDay && (
+          <div className="quick-create-row">
+            <input type="time" value={startTime} onChange={(e) => setStartTime(e.target.value)} aria-label="Start time" />
+            <span>–</span>
+            <input type="time" value={endTime} onChange={(e) => setEndTime(e.target.value)} aria-label="End time" />
+          </div>
+        )}
+        <div className="quick-create-actions">
+          <button type="button" className="quick-create-more" onClick={openFullForm}>
+            More options
+          </button>
+          <button type="submit" className="save-btn" disabled={saving}>
+            {saving ? 'Saving…' : 'Save'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faCalendarDays } from '@fortawesome/free-regular-svg-icons';
+import { WEEKDAY_CODES, WEEKDAY_NAMES } from './recurrence';
+
+// Repeat options for the Create Event form. Inputs are named so the form's
+// FormData carries them (see readRecurrenceForm); local state only drives visibility.
+export default function RecurrenceFields() {
+  const [frequency, setFrequency] = useState('none');
+  const [ends, setEnds] = useState('never');
+  const frequencyRef = useRef(null);
+
+  // form.reset() clears the inputs but not this component's state
+  useEffect(() => {
+    const form = frequencyRef.current?.form;
+    if (!form) return undefined;
+    const handleReset = () => {
+      setFrequency('none');
+      setEnds('never');
+    };
+    form.addEventListener('reset', handleReset);
+    return () => form.removeEventListener('reset', handleReset);
+  }, []);
+
+  const unit = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)', yearly: 'year(s)' }[frequency];
+
+  return (
+    <div className="recurrence-fields">
+      <div className="input-row">
+        <FontAwesomeIcon icon={faCalendarDays} /><span>Repeat:</span>
+        <select
+          ref={frequencyRef}
+          name="repeatFrequency"
+          value={frequency}
+          onChange={(e) => setFrequency(e.target.value)}
+        >
+          <option value="none">Does not repeat</option>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly</option>
+          <option value="yearly">Yearly</option>
+        </select>
+        {frequency !== 'none' && (
+          <>
+            <span>Every</span>
+            <input className="repeat-interval" name="repeatInterval" type="number" min="1" defaultValue="1" />
+            <span>{unit}</span>
+          </>
+        )}
+      </div>
+
+      {frequency === 'weekly' && (
+        <div className="input-row repeat-weekdays">
+          <span>On:</span>
+          {WEEKDAY_CODES.map((code, index) => (
+            <label key={code} title={WEEKDAY_NAMES[index]}>
+              <input type="checkbox" name="repeatWeekdays" value={code} />
+              {WEEKDAY_NAMES[index].slice(0, 3)}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {frequency === 'monthly' && (
+        <div className="input-row">
+          <label>
+            <input type="radio" name="repeatMonthlyMode" value="date" defaultChecked />
+            Same date each month
+          </label>
+          <label>
+            <input type="radio" name="repeatMonthlyMode" value="weekday" />
+            Same weekday (e.g. 2nd Tuesday)
+          </label>
+          <label>
+            <input type="radio" name="repeatMonthlyMode" value="lastWeekday" />
+            Last weekday (e.g. last Friday)
+          </label>
+        </div>
+      )}
+
+      {frequency !== 'none' && (
+        <div className="input-row">
+          <span>Ends:</span>
+          <select name="repeatEnds" value={ends} onChange={(e) => setEnds(e.target.value)}>
+            <option value="never">Never</option>
+            <option value="count">After</option>
+            <option value="until">On date</option>
+          </select>
+          {ends === 'count' && (
+            <>
+              <input className="repeat-interval" name="repeatCount" type="number" min="1" defaultValue="10" />
+              <span>times</span>
+            </>
+          )}
+          {ends === 'until' && <input name="repeatUntil" type="date" />}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import React, { useEffect } from 'react';
+import './RecurrenceScopePrompt.css';
+
+// Asks whether a change to a recurring event applies to one occurrence or the whole series.
+// Calls onChoose('this' | 'all'), or onCancel.
+export default function RecurrenceScopePrompt({ action = 'edit', onChoose, onCancel }) {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onCancel]);
+
+  return (
+    <div className="scope-prompt-overlay" onClick={onCancel}>
+      <div
+        className="scope-prompt"
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="scope-prompt-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 id="scope-prompt-title">{action === 'delete' ? 'Delete recurring event' : 'Edit recurring event'}</h3>
+        <p>This event is part of a series. Which events should {action === 'delete' ? 'be deleted' : 'change'}?</p>
+        <div className="scope-prompt-actions">
+          <button type="button" className="save-btn" onClick={() => onChoose('this')} autoFocus>
+            This event
+          </button>
+          <button type="button" className="save-btn" onClick={() => onChoose('all')}>
+            All events
+          </button>
+          <button type="button" className="save-btn secondary" onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
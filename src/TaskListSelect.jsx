@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { Pencil, Plus } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { useTaskLists, setSelectedTaskListId, createTaskList, renameTaskList } from './taskLists';
+import './TaskListSelect.css';
+
+// Picks the Google Task list shown by the board and the task panel, with inline
+// forms for creating a list and renaming the selected one
+export default function TaskListSelect() {
+  const { taskLists, selectedTaskListId } = useTaskLists();
+  const [mode, setMode] = useState(null); // 'create' | 'rename'
+  const [title, setTitle] = useState('');
+  const [saving, setSaving] = useState(false);
+  const selected = taskLists.find((taskList) => taskList.id === selectedTaskListId);
+
+  const openForm = (nextMode) => {
+    setMode(nextMode);
+    setTitle(nextMode === 'rename' ? selected?.title ?? '' : '');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const trimmed = title.trim();
+    if (!trimmed) return;
+
+    setSaving(true);
+    try {
+      if (mode === 'create') {
+        const created = await createTaskList(trimmed);
+        setSelectedTaskListId(created.id);
+      } else {
+        await renameTaskList(selectedTaskListId, trimmed);
+      }
+      setMode(null);
+    } catch (error) {
+      toast.error(error.response?.data?.detail ?? error.message ?? 'Failed to save task list');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (mode) {
+    return (
+      <form className="task-list-select" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder={mode === 'create' ? 'New list name' : 'List name'}
+          aria-label={mode === 'create' ? 'New list name' : 'List name'}
+          onKeyDown={(e) => e.key === 'Escape' && setMode(null)}
+          autoFocus
+        />
+        <button type="submit" className="task-list-save" disabled={saving || !title.trim()}>
+          {mode === 'create' ? 'Create' : 'Rename'}
+        </button>
+        <button type="button" onClick={() => setMode(null)}>Cancel</button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="task-list-select">
+      <select
+        value={selectedTaskListId}
+        onChange={(e) => setSelectedTaskListId(e.target.value)}
+        aria-label="Task list"
+      >
+        {taskLists.map((taskList) => (
+          <option key={taskList.id} value={taskList.id}>{taskList.title}</option>
+        ))}
+      </select>
+      <button type="button" onClick={() => openForm('rename')} disabled={!selected} title="Rename list">
+        <Pencil size={14} />
+      </button>
+      <button type="button" onClick={() => openForm('create')} title="New list">
+        <Plus size={14} />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,391 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  MINUTES_PER_DAY,
+  isSameDay,
+  isAllDayEvent,
+  getAllDayEventsForDay,
+  getTimedSegmentsForDay,
+  layoutDayEvents,
+  minutesIntoDay,
+  getEventStart,
+  getEventEnd,
+  addMinutes,
+  shiftEventByDays,
+  withEventTimes,
+} from './calendarUtils';
+import { toZonedTime, fromZonedTime, getTimeZoneAbbreviation, formatTimeInZone } from './timeZone';
+import { getEventColor, toTranslucent } from './calendars';
+
+const HOUR_HEIGHT = 40; // px per hour row
+const GUTTER_WIDTH = 48; // px, hour label column
+const DUAL_GUTTER_WIDTH = 84; // px, with a second zone's hour labels
+const SNAP_MINUTES = 15;
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const formatHour = (hour) => {
+  const suffix = hour < 12 ? 'AM' : 'PM';
+  const display = hour % 12 === 0 ? 12 : hour % 12;
+  return `${display} ${suffix}`;
+};
+
+const formatTime = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: true });
+
+// New start/end for an event being dragged or resized
+const getDraggedTimes = ({ event, mode, dayOffset, minuteOffset }) => {
+  if (mode === 'resize') {
+    const start = getEventStart(event);
+    const end = addMinutes(getEventEnd(event), minuteOffset);
+    const minEnd = addMinutes(start, SNAP_MINUTES);
+    return { start, end: end < minEnd ? minEnd : end };
+  }
+  const shifted = shiftEventByDays(event, dayOffset);
+  if (isAllDayEvent(event)) return shifted;
+  return {
+    start: addMinutes(shifted.start, minuteOffset),
+    end: addMinutes(shifted.end, minuteOffset),
+  };
+};
+
+export default function TimeGrid({
+  days,
+  events,
+  selectedDate,
+  timeZone,
+  secondaryTimeZone,
+  onSelectDate,
+  onEventChange,
+  onEventClick,
+  onCreateRange,
+}) {
+  const [currentTime, setCurrentTime] = useState(new Date());
+  const [drag, setDrag] = useState(null); // { event, mode, dayIndex, dayOffset, minuteOffset }
+  const [selection, setSelection] = useState(null); // { dayIndex, anchorMin, currentMin } while dragging out a new event
+  const selectionRef = useRef(null);
+  const selectionColumn = useRef(null);
+  const dragRef = useRef(null);
+  const dragOrigin = useRef(null);
+  const bodyRef = useRef(null);
+  const columnsRef = useRef(null);
+  const isDragging = drag !== null;
+  const isSelecting = selection !== null;
+  const now = toZonedTime(currentTime, timeZone);
+  const gutterWidth = secondaryTimeZone ? DUAL_GUTTER_WIDTH : GUTTER_WIDTH;
+
+  // Keep the "now" line moving
+  useEffect(() => {
+    const interval = setInterval(() => setCurrentTime(new Date()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Start scrolled to the working day rather than midnight
+  useEffect(() => {
+    if (bodyRef.current) {
+      bodyRef.current.scrollTop = 7 * HOUR_HEIGHT;
+    }
+  }, []);
+
+  const updateDrag = (next) => {
+    dragRef.current = next;
+    setDrag(next);
+  };
+
+  const startDrag = (e, event, mode, dayIndex) => {
+    if (e.button !== 0) return;
+    if (!onEventChange || !event.id) {
+      onEventClick?.(event);
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    dragOrigin.current = { x: e.clientX, y: e.clientY };
+    updateDrag({ event, mode, dayIndex, dayOffset: 0, minuteOffset: 0 });
+  };
+
+  // Track the pointer on window so the block can move between day columns
+  useEffect(() => {
+    if (!isDragging) return undefined;
+
+    const handleMove = (e) => {
+      const current = dragRef.current;
+      const origin = dragOrigin.current;
+      if (!current || !origin) return;
+
+      let dayOffset = 0;
+      if (current.mode !== 'resize' && columnsRef.current) {
+        const dayWidth = (columnsRef.current.clientWidth - gutterWidth) / days.length;
+        const rawOffset = dayWidth > 0 ? Math.round((e.clientX - origin.x) / dayWidth) : 0;
+        dayOffset = Math.min(Math.max(rawOffset, -current.dayIndex), days.length - 1 - current.dayIndex);
+      }
+
+      const minuteOffset = current.mode === 'move-allday'
+        ? 0
+        : Math.round(((e.clientY - origin.y) / HOUR_HEIGHT) * 60 / SNAP_MINUTES) * SNAP_MINUTES;
+
+      if (dayOffset !== current.dayOffset || minuteOffset !== current.minuteOffset) {
+        updateDrag({ ...current, dayOffset, minuteOffset });
+      }
+    };
+
+    const handleUp = () => {
+      const current = dragRef.current;
+      updateDrag(null);
+      if (!current) return;
+      if (current.dayOffset !== 0 || current.minuteOffset !== 0) {
+        const { start, end } = getDraggedTimes(current);
+        onEventChange(current.event, start, end);
+      } else {
+        // A press without movement is a click
+        onEventClick?.(current.event);
+      }
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') updateDrag(null);
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('pointercancel', handleUp);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleUp);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isDragging, days.length, gutterWidth, onEventChange, onEventClick]);
+
+  // Minutes into the day under the pointer, snapped, for a day column element
+  const getPointerMinutes = (e, column) => {
+    const rect = column.getBoundingClientRect();
+    const minutes = Math.round(((e.clientY - rect.top) / HOUR_HEIGHT) * 60 / SNAP_MINUTES) * SNAP_MINUTES;
+    return Math.min(Math.max(minutes, 0), MINUTES_PER_DAY);
+  };
+
+  const getSlotTimes = (day, startMin, endMin) => ({
+    start: addMinutes(day, startMin),
+    end: addMinutes(day, endMin),
+  });
+
+  const updateSelection = (next) => {
+    selectionRef.current = next;
+    setSelection(next);
+  };
+
+  // Pressing on an empty slot starts selecting a time range for a new event
+  const startSelection = (e, dayIndex) => {
+    if (!onCreateRange || e.button !== 0 || e.target.closest('.time-grid-event')) return;
+    e.preventDefault();
+    selectionColumn.current = e.currentTarget;
+    const minutes = Math.floor(getPointerMinutes(e, e.currentTarget) / SNAP_MINUTES) * SNAP_MINUTES;
+    updateSelection({ dayIndex, anchorMin: minutes, currentMin: minutes });
+  };
+
+  useEffect(() => {
+    if (!isSelecting) return undefined;
+
+    const handleMove = (e) => {
+      const current = selectionRef.current;
+      if (!current || !selectionColumn.current) return;
+      const currentMin = getPointerMinutes(e, selectionColumn.current);
+      if (currentMin !== current.currentMin) updateSelection({ ...current, currentMin });
+    };
+
+    const handleUp = (e) => {
+      const current = selectionRef.current;
+      updateSelection(null);
+      // A press without movement is left to the double-click handler
+      if (!current || current.anchorMin === current.currentMin) return;
+      const startMin = Math.min(current.anchorMin, current.currentMin);
+      const endMin = Math.max(current.anchorMin, current.currentMin);
+      const { start, end } = getSlotTimes(days[current.dayIndex], startMin, endMin);
+      onCreateRange({ start, end, allDay: false }, { x: e.clientX, y: e.clientY });
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') updateSelection(null);
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('pointercancel', handleUp);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleUp);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isSelecting, days, onCreateRange]);
+
+  // Double-clicking a slot proposes a one-hour event starting there
+  const handleSlotDoubleClick = (e, day) => {
+    if (!onCreateRange || e.target.closest('.time-grid-event')) return;
+    const startMin = Math.min(Math.floor(getPointerMinutes(e, e.currentTarget) / 30) * 30, MINUTES_PER_DAY - 60);
+    const { start, end } = getSlotTimes(day, startMin, startMin + 60);
+    onCreateRange({ start, end, allDay: false }, { x: e.clientX, y: e.clientY });
+  };
+
+  // Draw the event being dragged at its previewed position
+  const displayEvents = drag
+    ? events.map((event) => {
+      if (event.id !== drag.event.id) return event;
+      const { start, end } = getDraggedTimes(drag);
+      return withEventTimes(event, start, end);
+    })
+    : events;
+
+  const columnsStyle = { gridTemplateColumns: `${gutterWidth}px repeat(${days.length}, 1fr)` };
+  const hasAllDayEvents = days.some((day) => getAllDayEventsForDay(displayEvents, day).length > 0);
+
+  // Hour labels for the second zone, taken from the first visible day
+  const formatSecondaryHour = (hour) => {
+    const instant = fromZonedTime(new Date(days[0].getFullYear(), days[0].getMonth(), days[0].getDate(), hour), timeZone);
+    return instant.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', timeZone: secondaryTimeZone });
+  };
+
+  const describeTimes = (event) => {
+    const label = `${formatTime(getEventStart(event))}${event.end?.dateTime ? ` – ${formatTime(getEventEnd(event))}` : ''}`;
+    return secondaryTimeZone
+      ? `${label} (${formatTimeInZone(new Date(event.start.dateTime), secondaryTimeZone)})`
+      : label;
+  };
+
+  return (
+    <div className={`time-grid ${days.length === 1 ? 'day-view' : 'week-view'} ${drag ? 'is-dragging' : ''}`}>
+      <div className="time-grid-header" style={columnsStyle}>
+        <div className="time-grid-gutter">
+          {secondaryTimeZone && (
+            <span className="time-grid-zones">
+              {getTimeZoneAbbreviation(timeZone, currentTime)}
+              {' / '}
+              {getTimeZoneAbbreviation(secondaryTimeZone, currentTime)}
+            </span>
+          )}
+        </div>
+        {days.map((day) => (
+          <button
+            key={day.toDateString()}
+            type="button"
+            className={`time-grid-day-label ${isSameDay(day, now) ? 'today' : ''} ${selectedDate && isSameDay(day, selectedDate) ? 'selected' : ''}`}
+            onClick={() => onSelectDate(day)}
+          >
+            <span className="time-grid-weekday">{day.toLocaleDateString('en-US', { weekday: 'short' })}</span>
+            <span className="time-grid-date">{day.getDate()}</span>
+          </button>
+        ))}
+      </div>
+
+      {hasAllDayEvents && (
+        <div className="time-grid-allday" style={columnsStyle}>
+          <div className="time-grid-gutter">All day</div>
+          {days.map((day, dayIndex) => (
+            <div key={day.toDateString()} className="time-grid-allday-cell">
+              {getAllDayEventsForDay(displayEvents, day).map((event, index) => (
+                <div
+                  key={event.id || index}
+                  className={`time-grid-allday-event ${drag?.event.id === event.id ? 'dragging' : ''}`}
+                  style={{ backgroundColor: toTranslucent(getEventColor(event), 0.6) }}
+                  title={event.summary || '(No title)'}
+                  onPointerDown={(e) => startDrag(e, event, 'move-allday', dayIndex)}
+                >
+                  {event.summary || '(No title)'}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="time-grid-body" ref={bodyRef}>
+        <div className="time-grid-columns" ref={columnsRef} style={{ ...columnsStyle, height: 24 * HOUR_HEIGHT }}>
+          <div className="time-grid-hours">
+            {HOURS.map((hour) => (
+              <div key={hour} className="time-grid-hour-label" style={{ height: HOUR_HEIGHT }}>
+                {hour > 0 && <span>{formatHour(hour)}</span>}
+                {hour > 0 && secondaryTimeZone && (
+                  <span className="time-grid-secondary-hour">{formatSecondaryHour(hour)}</span>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {days.map((day, dayIndex) => {
+            const segments = layoutDayEvents(getTimedSegmentsForDay(displayEvents, day));
+            const showNow = isSameDay(day, now);
+
+            return (
+              <div
+                key={day.toDateString()}
+                className="time-grid-day"
+                onPointerDown={(e) => startSelection(e, dayIndex)}
+                onDoubleClick={(e) => handleSlotDoubleClick(e, day)}
+              >
+                {HOURS.map((hour) => (
+                  <div key={hour} className="time-grid-slot" style={{ height: HOUR_HEIGHT }}></div>
+                ))}
+
+                {selection?.dayIndex === dayIndex && selection.anchorMin !== selection.currentMin && (
+                  <div
+                    className="time-grid-selection"
+                    style={{
+                      top: (Math.min(selection.anchorMin, selection.currentMin) / 60) * HOUR_HEIGHT,
+                      height: (Math.abs(selection.currentMin - selection.anchorMin) / 60) * HOUR_HEIGHT,
+                    }}
+                  >
+                    {formatTime(addMinutes(day, Math.min(selection.anchorMin, selection.currentMin)))}
+                    {' – '}
+                    {formatTime(addMinutes(day, Math.max(selection.anchorMin, selection.currentMin)))}
+                  </div>
+                )}
+
+                {segments.map(({ event, startMin, endMin, column, columns, continuesBefore, continuesAfter }, index) => {
+                  const top = (startMin / 60) * HOUR_HEIGHT;
+                  const height = Math.max(((endMin - startMin) / 60) * HOUR_HEIGHT, HOUR_HEIGHT / 4);
+                  const width = 100 / columns;
+                  const isDragged = drag?.event.id === event.id;
+
+                  return (
+                    <div
+                      key={event.id || index}
+                      className={`time-grid-event ${continuesBefore ? 'continues-before' : ''} ${continuesAfter ? 'continues-after' : ''} ${isDragged ? 'dragging' : ''}`}
+                      style={{
+                        top,
+                        height,
+                        left: `calc(${column * width}% + 1px)`,
+                        width: `calc(${width}% - 2px)`,
+                        backgroundColor: toTranslucent(getEventColor(event), 0.85),
+                        borderLeftColor: getEventColor(event),
+                      }}
+                      title={`${event.summary || '(No title)'}\n${describeTimes(event)}`}
+                      onPointerDown={(e) => startDrag(e, event, 'move', dayIndex)}
+                    >
+                      <div className="time-grid-event-title">{event.summary || '(No title)'}</div>
+                      {height >= HOUR_HEIGHT / 2 && (
+                        <div className="time-grid-event-time">{describeTimes(event)}</div>
+                      )}
+                      {onEventChange && !continuesAfter && (
+                        <div
+                          className="time-grid-resize-handle"
+                          onPointerDown={(e) => startDrag(e, event, 'resize', dayIndex)}
+                          title="Drag to change end time"
+                        ></div>
+                      )}
+                    </div>
+                  );
+                })}
+
+                {showNow && (
+                  <div
+                    className="time-grid-now"
+                    style={{ top: (minutesIntoDay(now, day) / MINUTES_PER_DAY) * 24 * HOUR_HEIGHT }}
+                  ></div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
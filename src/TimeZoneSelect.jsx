@@ -0,0 +1,22 @@
+import React, { useMemo } from 'react';
+import { getTimeZoneOptions } from './timeZone';
+
+// <select> of IANA zone names. With `emptyLabel`, an empty value is offered first.
+export default function TimeZoneSelect({ value, onChange, name, emptyLabel, className, title }) {
+  const zones = useMemo(() => getTimeZoneOptions(), []);
+
+  return (
+    <select
+      className={`timezone-select ${className || ''}`}
+      name={name}
+      value={value ?? ''}
+      onChange={(e) => onChange?.(e.target.value)}
+      title={title}
+    >
+      {emptyLabel && <option value="">{emptyLabel}</option>}
+      {zones.map((zone) => (
+        <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,29 @@
+import React from 'react';
+import { Globe } from 'lucide-react';
+import TimeZoneSelect from './TimeZoneSelect.jsx';
+import { useTimeZones, setDefaultTimeZone, setSecondaryTimeZone } from './timeZone';
+import './TimeZoneSettings.css';
+
+// Default zone for showing and creating events, plus an optional second zone
+export default function TimeZoneSettings() {
+  const { timeZone, secondaryTimeZone } = useTimeZones();
+
+  return (
+    <div className="timezone-settings">
+      <Globe size={16} />
+      <label>
+        <span>Time zone</span>
+        <TimeZoneSelect value={timeZone} onChange={setDefaultTimeZone} title="Times are shown in this zone" />
+      </label>
+      <label>
+        <span>Also show</span>
+        <TimeZoneSelect
+          value={secondaryTimeZone}
+          onChange={setSecondaryTimeZone}
+          emptyLabel="None"
+          title="Optional second time zone shown alongside event times"
+        />
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+import React from 'react';
+import './UndoToast.css';
+
+// Toast body for an action that can still be taken back, see deferAction
+export default function UndoToast({ message, onUndo }) {
+  return (
+    <div className="undo-toast">
+      <span>{message}</span>
+      <button type="button" className="undo-toast-btn" onClick={onUndo}>
+        Undo
+      </button>
+    </div>
+  );
+}
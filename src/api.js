@@ -11,4 +11,12 @@ const api = axios.create({
   },
 });
 
+// Requests sent while the page is closing. Browsers cancel axios's requests on unload
+// but let `keepalive` fetches finish; there is no response to wait for.
+export const sendKeepalive = (method, url, params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  fetch(`${API_BASE_URL}${url}${query ? `?${query}` : ''}`, { method, credentials: 'include', keepalive: true })
+    .catch((error) => console.error('Error sending request on page close:', error));
+};
+
 export default api;
\ No newline at end of file
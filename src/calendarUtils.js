@@ -0,0 +1,232 @@
+// Date helpers shared by the calendar views. Timed events are read as wall-clock
+// Dates in the default time zone (see timeZone.js).
+import { getDefaultTimeZone, toZonedTime, fromZonedTime } from './timeZone';
+
+export const MINUTES_PER_DAY = 24 * 60;
+
+// Format a Date as YYYY-MM-DD using its local calendar day
+export const toYMD = (date) => (
+  date.getFullYear() + '-' +
+  String(date.getMonth() + 1).padStart(2, '0') + '-' +
+  String(date.getDate()).padStart(2, '0')
+);
+
+// Parse a YYYY-MM-DD string as local midnight (new Date('YYYY-MM-DD') would be UTC)
+export const parseYMD = (value) => new Date(`${value}T00:00:00`);
+
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+export const addDays = (date, amount) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + amount);
+
+// Weeks start on Sunday to match the month grid
+export const startOfWeek = (date) => addDays(startOfDay(date), -date.getDay());
+
+export const isSameDay = (a, b) => a.toDateString() === b.toDateString();
+
+export const isAllDayEvent = (event) => Boolean(event?.start?.date && !event?.start?.dateTime);
+
+// Zone an event's own times are written in
+export const getEventTimeZone = (event) => event?.start?.timeZone || getDefaultTimeZone();
+
+export const getEventStart = (event, timeZone = getDefaultTimeZone()) => {
+  if (event?.start?.dateTime) return toZonedTime(new Date(event.start.dateTime), timeZone);
+  if (event?.start?.date) return parseYMD(event.start.date);
+  return null;
+};
+
+// Google sends an exclusive end; events without one are treated as instantaneous
+export const getEventEnd = (event, timeZone = getDefaultTimeZone()) => {
+  if (event?.end?.dateTime) return toZonedTime(new Date(event.end.dateTime), timeZone);
+  if (event?.end?.date) return parseYMD(event.end.date);
+  return getEventStart(event, timeZone);
+};
+
+// Whether an event overlaps [rangeStart, rangeEnd); instantaneous events count on their start
+export const eventOverlapsRange = (event, rangeStart, rangeEnd) => {
+  const start = getEventStart(event);
+  if (!start || Number.isNaN(start.getTime())) return false;
+  const end = getEventEnd(event);
+  return start < rangeEnd && (end > start ? end > rangeStart : start >= rangeStart);
+};
+
+// Minutes since local midnight of `day`, clamped to the day
+export const minutesIntoDay = (date, day) => {
+  const minutes = Math.round((date.getTime() - startOfDay(day).getTime()) / 60000);
+  return Math.min(Math.max(minutes, 0), MINUTES_PER_DAY);
+};
+
+// All-day events covering `day` (end.date is exclusive)
+export const getAllDayEventsForDay = (events, day) => {
+  const ymd = toYMD(day);
+  return events.filter((event) => {
+    if (!isAllDayEvent(event)) return false;
+    const endYMD = event.end?.date || toYMD(addDays(parseYMD(event.start.date), 1));
+    return event.start.date <= ymd && ymd < endYMD;
+  });
+};
+
+// Portions of timed events that fall on `day`, as minute offsets from midnight
+export const getTimedSegmentsForDay = (events, day) => {
+  const dayStart = startOfDay(day);
+  const dayEnd = addDays(dayStart, 1);
+
+  return events
+    .filter((event) => event?.start?.dateTime)
+    .map((event) => {
+      const start = getEventStart(event);
+      const end = getEventEnd(event);
+      if (Number.isNaN(start.getTime())) return null;
+      if (start >= dayEnd || (end > start ? end <= dayStart : start < dayStart)) return null;
+
+      const startMin = minutesIntoDay(start, day);
+      const endMin = end > start ? minutesIntoDay(end, day) : startMin;
+      return {
+        event,
+        startMin,
+        endMin,
+        continuesBefore: start < dayStart,
+        continuesAfter: end > dayEnd,
+      };
+    })
+    .filter(Boolean);
+};
+
+// Assign side-by-side columns to overlapping segments. Segments that overlap
+// (directly or through a chain) form a cluster and share its column count.
+export const layoutDayEvents = (segments, minDuration = 15) => {
+  const sorted = [...segments].sort(
+    (a, b) => a.startMin - b.startMin || b.endMin - a.endMin
+  );
+  const laidOut = [];
+  let cluster = [];
+  let columnEnds = [];
+  let clusterEnd = -1;
+
+  const flush = () => {
+    cluster.forEach((segment) => laidOut.push({ ...segment, columns: columnEnds.length }));
+    cluster = [];
+    columnEnds = [];
+    clusterEnd = -1;
+  };
+
+  sorted.forEach((segment) => {
+    const visualEnd = Math.max(segment.endMin, segment.startMin + minDuration);
+    if (cluster.length > 0 && segment.startMin >= clusterEnd) {
+      flush();
+    }
+
+    let column = columnEnds.findIndex((end) => end <= segment.startMin);
+    if (column === -1) {
+      column = columnEnds.length;
+      columnEnds.push(visualEnd);
+    } else {
+      columnEnds[column] = visualEnd;
+    }
+
+    cluster.push({ ...segment, column });
+    clusterEnd = Math.max(clusterEnd, visualEnd);
+  });
+  flush();
+
+  return laidOut;
+};
+
+// Month grid: all-day events and timed events crossing midnight are drawn as bars
+export const isMultiDayEvent = (event) => {
+  if (isAllDayEvent(event)) return true;
+  const start = getEventStart(event);
+  const end = getEventEnd(event);
+  return Boolean(start) && end > start && !isSameDay(start, new Date(end.getTime() - 1));
+};
+
+// Bars for one row of the month grid. `days` holds the row's seven dates (null for
+// cells outside the month); each bar covers the columns its event overlaps and
+// sits in the lowest lane that is free across all of them.
+export const layoutWeekBars = (events, days) => {
+  const bars = events
+    .filter(isMultiDayEvent)
+    .map((event) => {
+      const columns = days
+        .map((day, column) => (day && eventOverlapsRange(event, day, addDays(day, 1)) ? column : -1))
+        .filter((column) => column !== -1);
+      if (columns.length === 0) return null;
+      const startCol = columns[0];
+      const endCol = columns[columns.length - 1] + 1;
+      return {
+        event,
+        startCol,
+        endCol,
+        continuesBefore: getEventStart(event) < days[startCol],
+        continuesAfter: getEventEnd(event) > addDays(days[endCol - 1], 1),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.startCol - b.startCol || (b.endCol - b.startCol) - (a.endCol - a.startCol));
+
+  const laneEnds = [];
+  const laidOut = bars.map((bar) => {
+    let lane = laneEnds.findIndex((end) => end <= bar.startCol);
+    if (lane === -1) {
+      lane = laneEnds.length;
+      laneEnds.push(bar.endCol);
+    } else {
+      laneEnds[lane] = bar.endCol;
+    }
+    return { ...bar, lane };
+  });
+
+  return { bars: laidOut, laneCount: laneEnds.length };
+};
+
+// HH:mm for <input type="time">
+export const toTimeInputValue = (date) => (
+  `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`
+);
+
+// Wall-clock YYYY-MM-DDTHH:mm:ss, as the create form sends it alongside a zone
+export const toLocalDateTimeString = (date) => `${toYMD(date)}T${toTimeInputValue(date)}:00`;
+
+export const addMinutes = (date, amount) => new Date(date.getTime() + amount * 60000);
+
+// Shift an event's start and end by whole days, keeping its time of day
+export const shiftEventByDays = (event, amount) => {
+  const start = getEventStart(event);
+  const end = getEventEnd(event);
+  const shift = (date) => {
+    const shifted = new Date(date);
+    shifted.setDate(shifted.getDate() + amount);
+    return shifted;
+  };
+  return { start: shift(start), end: shift(end) };
+};
+
+// Copy of `event` with new start/end, used for optimistic updates
+export const withEventTimes = (event, start, end) => {
+  if (isAllDayEvent(event)) {
+    return {
+      ...event,
+      start: { ...event.start, date: toYMD(start) },
+      end: { ...event.end, date: toYMD(end) },
+    };
+  }
+  return {
+    ...event,
+    start: { ...event.start, dateTime: fromZonedTime(start).toISOString() },
+    end: { ...event.end, dateTime: fromZonedTime(end).toISOString() },
+  };
+};
+
+// Body for PUT /calendar/events/{id} when only the times change. `start` and `end`
+// are wall-clock Dates in the default zone; the event keeps its own zone.
+export const buildEventTimesPayload = (event, start, end) => {
+  if (isAllDayEvent(event)) {
+    return { start_date: toYMD(start), end_date: toYMD(end) };
+  }
+  const timeZone = getEventTimeZone(event);
+  const inEventZone = (date) => toLocalDateTimeString(toZonedTime(fromZonedTime(date), timeZone));
+  return {
+    start_datetime: inEventZone(start),
+    end_datetime: inEventZone(end),
+    timezone: timeZone,
+  };
+};
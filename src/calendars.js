@@ -0,0 +1,162 @@
+// The user's calendars, with per-calendar color and visibility preferences.
+// The primary calendar is always referred to as 'primary', which is what the
+// backend assumes when no calendar_id is given.
+import { useEffect, useState } from 'react';
+import api from './api';
+
+export const PRIMARY_CALENDAR_ID = 'primary';
+
+// The orange every event used before calendars had colors
+export const DEFAULT_EVENT_COLOR = '#e9b36b';
+
+const STORAGE_KEYS = {
+  HIDDEN: 'eventx_hidden_calendars',
+  COLORS: 'eventx_calendar_colors',
+};
+
+// For calendars that come without a backgroundColor
+const PALETTE = ['#e9b36b', '#7986cb', '#33b679', '#e67c73', '#8e24aa', '#039be5', '#f6bf26', '#616161'];
+
+const PRIMARY_CALENDAR = { id: PRIMARY_CALENDAR_ID, summary: 'My calendar', primary: true };
+
+const loadFromStorage = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (e) {
+    console.error('Error loading from localStorage:', e);
+    return fallback;
+  }
+};
+
+const saveToStorage = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.error('Error saving to localStorage:', e);
+  }
+};
+
+let calendars = [PRIMARY_CALENDAR];
+let calendarsRequest = null;
+let hiddenIds = new Set(loadFromStorage(STORAGE_KEYS.HIDDEN, []));
+let customColors = loadFromStorage(STORAGE_KEYS.COLORS, {});
+
+const notifyChange = () => window.dispatchEvent(new CustomEvent('calendars-changed'));
+
+const normalizeCalendar = (calendar) => ({
+  id: calendar.primary ? PRIMARY_CALENDAR_ID : calendar.id,
+  summary: calendar.summaryOverride || calendar.summary || calendar.id,
+  backgroundColor: calendar.backgroundColor,
+  primary: Boolean(calendar.primary),
+  readOnly: ['reader', 'freeBusyReader'].includes(calendar.accessRole),
+});
+
+// Fetch the calendar list once; falls back to the primary calendar alone
+export const loadCalendars = () => {
+  if (!calendarsRequest) {
+    calendarsRequest = api.get('/calendar/calendars', { withCredentials: true })
+      .then((res) => {
+        const raw = res.data?.calendars ?? res.data?.items ?? res.data ?? [];
+        const list = Array.isArray(raw) ? raw.filter((calendar) => calendar?.id).map(normalizeCalendar) : [];
+        if (!list.some((calendar) => calendar.id === PRIMARY_CALENDAR_ID)) list.unshift(PRIMARY_CALENDAR);
+        calendars = list;
+      })
+      .catch((error) => {
+        console.error('Failed to load calendars:', error);
+        calendars = [PRIMARY_CALENDAR];
+        calendarsRequest = null; // try again next time
+      })
+      .then(() => {
+        notifyChange();
+        return calendars;
+      });
+  }
+  return calendarsRequest;
+};
+
+// Forget the list, e.g. after logout
+export const resetCalendars = () => {
+  calendars = [PRIMARY_CALENDAR];
+  calendarsRequest = null;
+  notifyChange();
+};
+
+export const getCalendars = () => calendars;
+
+export const getCalendar = (calendarId) => calendars.find((calendar) => calendar.id === calendarId) ?? null;
+
+export const getVisibleCalendarIds = () => calendars
+  .map((calendar) => calendar.id)
+  .filter((id) => !hiddenIds.has(id));
+
+export const getCalendarColor = (calendarId = PRIMARY_CALENDAR_ID) => {
+  if (customColors[calendarId]) return customColors[calendarId];
+  const index = calendars.findIndex((calendar) => calendar.id === calendarId);
+  if (index === -1) return DEFAULT_EVENT_COLOR;
+  return calendars[index].backgroundColor || PALETTE[index % PALETTE.length];
+};
+
+export const getEventColor = (event) => getCalendarColor(event?.calendarId ?? PRIMARY_CALENDAR_ID);
+
+// #rrggbb -> rgba(), for the translucent event backgrounds
+export const toTranslucent = (color, alpha = 0.4) => {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+  if (!match) return color;
+  const [r, g, b] = match.slice(1).map((hex) => parseInt(hex, 16));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+};
+
+export const setCalendarVisible = (calendarId, visible) => {
+  hiddenIds = new Set(hiddenIds);
+  if (visible) {
+    hiddenIds.delete(calendarId);
+  } else {
+    hiddenIds.add(calendarId);
+  }
+  saveToStorage(STORAGE_KEYS.HIDDEN, [...hiddenIds]);
+  notifyChange();
+};
+
+export const setCalendarColor = (calendarId, color) => {
+  customColors = { ...customColors, [calendarId]: color };
+  saveToStorage(STORAGE_KEYS.COLORS, customColors);
+  notifyChange();
+};
+
+// Query params that point a request at a calendar; the primary one needs none
+export const calendarParams = (calendarId) => (
+  calendarId && calendarId !== PRIMARY_CALENDAR_ID ? { calendar_id: calendarId } : {}
+);
+
+// Request config for reading or changing an existing event in its own calendar
+export const eventRequestConfig = (event) => ({
+  withCredentials: true,
+  params: calendarParams(event?.calendarId),
+});
+
+// Events of one calendar, each tagged with the calendarId it came from
+export const fetchCalendarEvents = async (calendarId, params = {}) => {
+  const response = await api.get('/calendar/events', {
+    params: { ...params, ...calendarParams(calendarId) },
+    withCredentials: true,
+  });
+  const data = response.data?.events ?? response.data ?? [];
+  return (Array.isArray(data) ? data : []).map((event) => ({ ...event, calendarId }));
+};
+
+const readCalendarState = () => ({ calendars, visibleCalendarIds: getVisibleCalendarIds() });
+
+// Calendar list and preferences; re-renders the caller when they change
+export const useCalendars = () => {
+  const [state, setState] = useState(readCalendarState);
+
+  useEffect(() => {
+    const handleChange = () => setState(readCalendarState());
+    window.addEventListener('calendars-changed', handleChange);
+    loadCalendars();
+    return () => window.removeEventListener('calendars-changed', handleChange);
+  }, []);
+
+  return state;
+};
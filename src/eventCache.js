@@ -0,0 +1,128 @@
+// Per-month, per-calendar cache of /calendar/events responses. Each month is fetched
+// once with timeMin/timeMax and shared by every caller; changes announced through the
+// calendar-event-* / kanban-event-* window events only drop the months they touch.
+import { addDays, getEventStart, getEventEnd } from './calendarUtils';
+import { fetchCalendarEvents, getVisibleCalendarIds } from './calendars';
+import { isRecurringSeries, isRecurringInstance } from './recurrence';
+import { fromZonedTime } from './timeZone';
+
+const months = new Map(); // '<calendarId>|YYYY-MM' -> { promise, events }
+
+const startOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+
+const addMonths = (date, amount) => new Date(date.getFullYear(), date.getMonth() + amount, 1);
+
+const getMonthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// First days of the months overlapping [rangeStart, rangeEnd)
+const getMonthsInRange = (rangeStart, rangeEnd) => {
+  const result = [];
+  for (let month = startOfMonth(rangeStart); month < rangeEnd; month = addMonths(month, 1)) {
+    result.push(month);
+  }
+  return result;
+};
+
+const getCacheKey = (calendarId, month) => `${calendarId}|${getMonthKey(month)}`;
+
+const fetchMonth = (calendarId, month) => {
+  const key = getCacheKey(calendarId, month);
+  const cached = months.get(key);
+  if (cached) return cached.promise;
+
+  // Month boundaries are wall-clock times in the default zone
+  const params = {
+    timeMin: fromZonedTime(month).toISOString(),
+    timeMax: fromZonedTime(addMonths(month, 1)).toISOString(),
+  };
+  const entry = { events: null };
+  entry.promise = fetchCalendarEvents(calendarId, params)
+    .then((events) => {
+      entry.events = events;
+      return events;
+    })
+    .catch((error) => {
+      // Failed months are retried on the next request
+      if (months.get(key) === entry) months.delete(key);
+      throw error;
+    });
+  months.set(key, entry);
+  return entry.promise;
+};
+
+// True when every month of the range has already arrived
+export const isRangeCached = (rangeStart, rangeEnd, calendarIds = getVisibleCalendarIds()) => (
+  calendarIds.every((calendarId) => getMonthsInRange(rangeStart, rangeEnd)
+    .every((month) => months.get(getCacheKey(calendarId, month))?.events))
+);
+
+// Events of the given calendars overlapping [rangeStart, rangeEnd) (wall-clock Dates
+// in the default zone). Events spanning several months are returned once.
+export const getEventsForRange = async (rangeStart, rangeEnd, calendarIds = getVisibleCalendarIds()) => {
+  const requests = calendarIds.flatMap((calendarId) => (
+    getMonthsInRange(rangeStart, rangeEnd).map((month) => fetchMonth(calendarId, month))
+  ));
+  const results = await Promise.all(requests);
+  const byId = new Map();
+  results.flat().forEach((event) => {
+    byId.set(event.id ?? `${byId.size}`, event);
+  });
+  return [...byId.values()];
+};
+
+// Warm the cache for the months just before and after a range
+export const prefetchAdjacentMonths = (rangeStart, rangeEnd, calendarIds = getVisibleCalendarIds()) => {
+  const adjacent = [addMonths(rangeStart, -1), addMonths(addDays(rangeEnd, -1), 1)];
+  calendarIds.forEach((calendarId) => {
+    adjacent.forEach((month) => {
+      fetchMonth(calendarId, month).catch(() => {});
+    });
+  });
+};
+
+export const clearEventCache = () => {
+  months.clear();
+};
+
+// Drop the months an added, changed or deleted event was or now is in.
+// Changes without the event's dates, and recurring events, clear everything.
+export const invalidateEventChange = ({ eventId, event } = {}) => {
+  if (!event?.start || isRecurringSeries(event) || isRecurringInstance(event)) {
+    clearEventCache();
+    return;
+  }
+
+  const id = eventId ?? event.id;
+  const stale = new Set();
+  months.forEach((entry, key) => {
+    if (!entry.events || entry.events.some((cached) => cached.id === id)) stale.add(key);
+  });
+
+  const start = getEventStart(event);
+  const end = getEventEnd(event);
+  if (start && !Number.isNaN(start.getTime())) {
+    // Exclusive end; instantaneous events still belong to their start month
+    const last = end > start ? new Date(end.getTime() - 1) : start;
+    const touched = new Set(getMonthsInRange(start, addDays(last, 1)).map(getMonthKey));
+    months.forEach((entry, key) => {
+      if (touched.has(key.slice(key.lastIndexOf('|') + 1))) stale.add(key);
+    });
+  }
+
+  stale.forEach((key) => months.delete(key));
+};
+
+// Registered at import time so the cache is cleaned before any component
+// listening for the same events reloads from it
+[
+  'calendar-event-added',
+  'calendar-event-updated',
+  'calendar-event-deleted',
+  'kanban-event-added',
+  'kanban-event-deleted',
+].forEach((type) => {
+  window.addEventListener(type, (e) => invalidateEventChange(e.detail ?? {}));
+});
+
+// Month boundaries depend on the default zone
+window.addEventListener('timezone-changed', clearEventCache);
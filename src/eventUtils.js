@@ -0,0 +1,215 @@
+// Event payload building and validation shared by the Create Event form
+// and the event detail drawer, plus the helper that opens the drawer.
+import api from './api';
+import {
+  addDays,
+  parseYMD,
+  toYMD,
+  startOfDay,
+  toTimeInputValue,
+  toLocalDateTimeString,
+  isAllDayEvent,
+  getEventStart,
+  getEventEnd,
+  getEventTimeZone,
+} from './calendarUtils';
+import { buildRRule, isLastWeekdayOfMonth } from './recurrence';
+import { getDefaultTimeZone, fromZonedTime } from './timeZone';
+import { calendarParams, eventRequestConfig, PRIMARY_CALENDAR_ID } from './calendars';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const normalizeTime = (value) => {
+  const trimmed = (value || '').toString().trim();
+  if (!trimmed) {
+    return '00:00:00';
+  }
+  return trimmed.length === 5 ? `${trimmed}:00` : trimmed;
+};
+
+export const parseAttendees = (value) => (value || '')
+  .toString()
+  .split(/[,;\s]+/)
+  .map((e) => e.trim())
+  .filter(Boolean);
+
+// Validate form values and build the /calendar/events body.
+// Returns { payload } on success or { error } with a message for the user.
+export const buildEventPayload = (values) => {
+  const text = (key) => (values[key] || '').toString().trim();
+  const summary = text('summary');
+  const description = text('description');
+  const location = text('location');
+  const startDate = text('startDate');
+  const endDateInput = text('endDate');
+  const startTimeInput = text('startTime');
+  const endTimeInput = text('endTime');
+  const attendees = parseAttendees(values.attendees);
+  const timeZone = text('timeZone') || getDefaultTimeZone();
+
+  if (!summary || !startDate) {
+    return { error: 'Please enter event summary and start date.' };
+  }
+
+  // New repeat options replace whatever recurrence the event carried
+  let recurrence = values.recurrence ?? [];
+  if (values.repeat && values.repeat.frequency !== 'none') {
+    if (values.repeat.ends === 'until' && (!values.repeat.until || values.repeat.until < startDate)) {
+      return { error: 'Please choose a repeat end date on or after the start date.' };
+    }
+    if (values.repeat.frequency === 'monthly' && values.repeat.monthlyMode === 'lastWeekday'
+      && !isLastWeekdayOfMonth(parseYMD(startDate))) {
+      return { error: 'To repeat on the last weekday of the month, start on one, e.g. the last Friday.' };
+    }
+    recurrence = [buildRRule(values.repeat, startDate, timeZone)];
+  }
+  // Events for the primary calendar keep the original body shape
+  const withOptionalFields = (payload) => ({
+    ...payload,
+    ...calendarParams(values.calendarId),
+    ...(recurrence.length > 0 ? { recurrence } : {}),
+  });
+
+  if (values.allDay) {
+    if (Number.isNaN(parseYMD(startDate).getTime())) {
+      return { error: 'Please enter a valid start date and time.' };
+    }
+    const lastDay = endDateInput && endDateInput >= startDate ? endDateInput : startDate;
+    return {
+      payload: withOptionalFields({
+        summary,
+        // Google treats the end date of all-day events as exclusive
+        start_date: startDate,
+        end_date: toYMD(addDays(parseYMD(lastDay), 1)),
+        description,
+        location,
+        attendees,
+      }),
+    };
+  }
+
+  const startTime = normalizeTime(startTimeInput);
+  const startDateTime = `${startDate}T${startTime}`;
+
+  let endDate = endDateInput || startDate;
+  let endTime = normalizeTime(endTimeInput || startTimeInput);
+
+  const startInstant = new Date(`${startDate}T${startTime}`);
+  const endInstant = new Date(`${endDate}T${endTime}`);
+
+  if (Number.isNaN(startInstant.getTime())) {
+    return { error: 'Please enter a valid start date and time.' };
+  }
+
+  if (Number.isNaN(endInstant.getTime()) || endInstant < startInstant) {
+    endDate = startDate;
+    endTime = startTime;
+  }
+
+  return {
+    payload: withOptionalFields({
+      summary,
+      start_datetime: startDateTime,
+      end_datetime: `${endDate}T${endTime}`,
+      description,
+      location,
+      attendees,
+      timezone: timeZone,
+    }),
+  };
+};
+
+// Form values for an existing event, the inverse of buildEventPayload.
+// Times are shown in the event's own zone so saving does not move it.
+export const eventToFormValues = (event) => {
+  const allDay = isAllDayEvent(event);
+  const timeZone = getEventTimeZone(event);
+  const start = getEventStart(event, timeZone);
+  const end = getEventEnd(event, timeZone);
+
+  return {
+    summary: event?.summary ?? '',
+    description: event?.description ?? '',
+    location: event?.location ?? '',
+    attendees: (event?.attendees ?? []).map((a) => a.email).filter(Boolean).join(', '),
+    allDay,
+    startDate: start ? toYMD(start) : '',
+    startTime: start && !allDay ? toTimeInputValue(start) : '',
+    endDate: end ? toYMD(allDay ? addDays(end, -1) : end) : '',
+    endTime: end && !allDay ? toTimeInputValue(end) : '',
+    timeZone,
+    calendarId: event?.calendarId ?? PRIMARY_CALENDAR_ID,
+    recurrence: event?.recurrence ?? [],
+  };
+};
+
+// Apply a payload to a copy of the event so the UI can show it before the backend answers
+export const applyPayloadToEvent = (event, payload) => {
+  const updated = {
+    ...event,
+    summary: payload.summary,
+    description: payload.description,
+    location: payload.location,
+    attendees: payload.attendees.map((email) => (
+      event?.attendees?.find((a) => a.email === email) ?? { email }
+    )),
+  };
+  if (payload.recurrence) {
+    updated.recurrence = payload.recurrence;
+  }
+  if (payload.start_date) {
+    updated.start = { date: payload.start_date };
+    updated.end = { date: payload.end_date };
+  } else {
+    const toISO = (value) => fromZonedTime(new Date(value), payload.timezone).toISOString();
+    updated.start = { dateTime: toISO(payload.start_datetime), timeZone: payload.timezone };
+    updated.end = { dateTime: toISO(payload.end_datetime), timeZone: payload.timezone };
+  }
+  return updated;
+};
+
+// The series an occurrence belongs to: attached by the client-side expander,
+// otherwise fetched from the backend
+export const getSeriesEvent = async (occurrence) => {
+  if (occurrence?.seriesEvent) return occurrence.seriesEvent;
+  const res = await api.get(`/calendar/events/${occurrence.recurringEventId}`, eventRequestConfig(occurrence));
+  const series = res.data?.event ?? res.data;
+  return occurrence.calendarId ? { ...series, calendarId: occurrence.calendarId } : series;
+};
+
+// Move a payload built for one occurrence onto its series: the series start moves
+// by the same amount the occurrence did, and the recurrence rule is kept
+export const retargetPayloadToSeries = (payload, occurrence, series) => {
+  // Compare in the zone the payload's wall-clock times are written in
+  const occurrenceStart = getEventStart(occurrence, payload.timezone);
+  const seriesStart = getEventStart(series, payload.timezone);
+  const retargeted = { ...payload, recurrence: series.recurrence ?? [] };
+
+  if (payload.start_date) {
+    const newStart = parseYMD(payload.start_date);
+    const lengthInDays = Math.round((parseYMD(payload.end_date) - newStart) / DAY_MS);
+    const start = addDays(startOfDay(seriesStart), Math.round((newStart - startOfDay(occurrenceStart)) / DAY_MS));
+    return { ...retargeted, start_date: toYMD(start), end_date: toYMD(addDays(start, lengthInDays)) };
+  }
+
+  const newStart = new Date(payload.start_datetime);
+  const start = new Date(seriesStart.getTime() + (newStart - occurrenceStart));
+  const end = new Date(start.getTime() + (new Date(payload.end_datetime) - newStart));
+  return { ...retargeted, start_datetime: toLocalDateTimeString(start), end_datetime: toLocalDateTimeString(end) };
+};
+
+// Ask the shared EventDrawer (rendered by App) to show an event.
+// Pass the event object when it is at hand; an id alone makes the drawer fetch it
+// from `calendarId` (the primary calendar when left out).
+export const openEventDrawer = (eventOrId, calendarId) => {
+  const detail = typeof eventOrId === 'object'
+    ? { event: eventOrId, eventId: eventOrId?.id }
+    : { eventId: eventOrId, calendarId };
+  window.dispatchEvent(new CustomEvent('open-event-drawer', { detail }));
+};
+
+// Ask App to fill the Create Event form with `values` (as taken by buildEventPayload)
+// and bring it into view, e.g. from the calendar's quick-create popover.
+export const openCreateForm = (values) => {
+  window.dispatchEvent(new CustomEvent('open-create-form', { detail: { values } }));
+};
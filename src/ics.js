@@ -0,0 +1,271 @@
+// iCalendar (RFC 5545) import and export. Parsing covers VEVENTs with all-day and
+// timed DTSTART/DTEND (UTC, TZID or floating), DURATION, RRULE/EXDATE/RDATE and
+// ATTENDEE lines; export writes Google Calendar events back out as VEVENTs.
+import { addDays, parseYMD, toYMD, toTimeInputValue, isAllDayEvent } from './calendarUtils';
+import { formatICalDate, formatICalDateTimeUTC, parseICalDate, isRecurringInstance } from './recurrence';
+import { getDefaultTimeZone, isValidTimeZone, toZonedTime, fromZonedTime } from './timeZone';
+
+const RECURRENCE_PROPERTIES = ['RRULE', 'EXDATE', 'RDATE'];
+
+// Lines starting with a space or tab continue the previous one
+const unfoldLines = (text) => text
+  .replace(/\r\n/g, '\n')
+  .replace(/\r/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n')
+  .filter((line) => line.trim() !== '');
+
+// DTSTART;TZID=Europe/Berlin:20260310T100000 -> { name, params: { TZID }, value }
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  paramParts.forEach((part) => {
+    const eq = part.indexOf('=');
+    if (eq > 0) params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+const unescapeText = (value) => value
+  .replace(/\\[nN]/g, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Parameter values cannot be escaped, only quoted
+const paramValue = (value) => {
+  const clean = String(value).replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+  return /[,;:]/.test(clean) ? `"${clean}"` : clean;
+};
+
+// P1D / PT1H30M / -PT15M -> milliseconds
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map((part) => part ?? 0);
+  const total = ((Number(weeks) * 7 + Number(days)) * 24 * 3600
+    + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -total : total;
+};
+
+// Date-only properties become local midnights; date-times become instants.
+// Floating times, and TZIDs that are not IANA names (e.g. from Outlook), use the default zone.
+const parseDateProperty = (property) => {
+  if (!property) return null;
+  const value = property.value.trim();
+  if (property.params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    const date = parseICalDate(value.slice(0, 8));
+    return date ? { allDay: true, date } : null;
+  }
+
+  const wall = parseICalDate(value);
+  if (!wall || Number.isNaN(wall.getTime())) return null;
+  if (value.endsWith('Z')) return { allDay: false, instant: wall, timeZone: null };
+  const timeZone = isValidTimeZone(property.params.TZID) ? property.params.TZID : getDefaultTimeZone();
+  return { allDay: false, instant: fromZonedTime(wall, timeZone), timeZone };
+};
+
+const parseAttendee = (property) => ({
+  email: property.value.replace(/^mailto:/i, '').trim(),
+  name: property.params.CN || '',
+});
+
+const toImportedEvent = (properties) => {
+  const first = (name) => properties.find((property) => property.name === name);
+  const start = parseDateProperty(first('DTSTART'));
+  if (!start) return null;
+
+  let end = parseDateProperty(first('DTEND'));
+  const duration = parseDuration(first('DURATION')?.value);
+  if (!end && duration !== null) {
+    end = start.allDay
+      ? { allDay: true, date: addDays(start.date, Math.round(duration / 86400000)) }
+      : { allDay: false, instant: new Date(start.instant.getTime() + duration) };
+  }
+
+  const text = (name) => (first(name) ? unescapeText(first(name).value) : '');
+  const imported = {
+    uid: first('UID')?.value ?? '',
+    summary: text('SUMMARY'),
+    description: text('DESCRIPTION'),
+    location: text('LOCATION'),
+    allDay: start.allDay,
+    attendees: properties.filter((property) => property.name === 'ATTENDEE').map(parseAttendee).filter((a) => a.email),
+    // Google accepts these lines as they are, TZID parameters included
+    recurrence: properties
+      .filter((property) => RECURRENCE_PROPERTIES.includes(property.name))
+      .map((property) => property.raw),
+  };
+
+  if (start.allDay) {
+    const endDate = end?.allDay && end.date > start.date ? end.date : addDays(start.date, 1);
+    return { ...imported, start: start.date, end: endDate, timeZone: null };
+  }
+
+  // UTC times are shown in the default zone; zoned ones keep their zone
+  const timeZone = start.timeZone ?? getDefaultTimeZone();
+  const endInstant = end && !end.allDay && end.instant >= start.instant ? end.instant : start.instant;
+  return {
+    ...imported,
+    start: toZonedTime(start.instant, timeZone),
+    end: toZonedTime(endInstant, timeZone),
+    timeZone,
+  };
+};
+
+// VEVENTs of an .ics file, in file order. Events without a usable DTSTART are skipped.
+export const parseICS = (text) => {
+  const events = [];
+  let current = null;
+  let nested = 0; // VALARMs and other components inside a VEVENT
+
+  unfoldLines(text || '').forEach((line) => {
+    const property = parseContentLine(line);
+    if (!property) return;
+    const value = property.value.trim().toUpperCase();
+
+    if (property.name === 'BEGIN') {
+      if (value === 'VEVENT' && !current) {
+        current = [];
+      } else if (current) {
+        nested += 1;
+      }
+      return;
+    }
+    if (property.name === 'END') {
+      if (current && nested > 0) {
+        nested -= 1;
+      } else if (current && value === 'VEVENT') {
+        const event = toImportedEvent(current);
+        if (event) events.push(event);
+        current = null;
+      }
+      return;
+    }
+    if (current && nested === 0) current.push({ ...property, raw: line });
+  });
+
+  return events;
+};
+
+// Create Event form values (see buildEventPayload) for a parsed VEVENT
+export const importedEventToFormValues = (event) => ({
+  summary: event.summary || '(No title)',
+  description: event.description,
+  location: event.location,
+  attendees: event.attendees.map((attendee) => attendee.email).join(', '),
+  allDay: event.allDay,
+  startDate: toYMD(event.start),
+  startTime: event.allDay ? '' : toTimeInputValue(event.start),
+  // The form's end date is inclusive for all-day events
+  endDate: toYMD(event.allDay ? addDays(event.end, -1) : event.end),
+  endTime: event.allDay ? '' : toTimeInputValue(event.end),
+  timeZone: event.timeZone ?? '',
+  recurrence: event.recurrence,
+});
+
+// Lines longer than 75 octets are folded onto continuation lines
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+
+  const parts = [];
+  let part = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(part);
+      part = '';
+      size = 0;
+    }
+    part += char;
+    size += charSize;
+  }
+  parts.push(part);
+  return parts.join('\r\n ');
+};
+
+// Occurrences are written as standalone events, so they cannot share the series' UID
+const getUID = (event) => (
+  event.iCalUID && !isRecurringInstance(event) ? event.iCalUID : `${event.id}@eventx`
+);
+
+const eventToVEvent = (event, stamp) => {
+  const lines = ['BEGIN:VEVENT', `UID:${getUID(event)}`, `DTSTAMP:${stamp}`];
+
+  if (isAllDayEvent(event)) {
+    const start = parseYMD(event.start.date);
+    const end = event.end?.date ? parseYMD(event.end.date) : addDays(start, 1);
+    lines.push(`DTSTART;VALUE=DATE:${formatICalDate(start)}`, `DTEND;VALUE=DATE:${formatICalDate(end)}`);
+  } else {
+    const start = new Date(event.start.dateTime);
+    const end = event.end?.dateTime ? new Date(event.end.dateTime) : start;
+    lines.push(`DTSTART:${formatICalDateTimeUTC(start)}`, `DTEND:${formatICalDateTimeUTC(end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary || '(No title)')}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.status) lines.push(`STATUS:${event.status.toUpperCase()}`);
+  if (event.htmlLink) lines.push(`URL:${event.htmlLink}`);
+  if (event.organizer?.email) {
+    const name = event.organizer.displayName ? `;CN=${paramValue(event.organizer.displayName)}` : '';
+    lines.push(`ORGANIZER${name}:mailto:${event.organizer.email}`);
+  }
+  (event.attendees ?? []).filter((attendee) => attendee.email).forEach((attendee) => {
+    const name = attendee.displayName ? `;CN=${paramValue(attendee.displayName)}` : '';
+    const status = attendee.responseStatus
+      ? `;PARTSTAT=${{ accepted: 'ACCEPTED', declined: 'DECLINED', tentative: 'TENTATIVE' }[attendee.responseStatus] ?? 'NEEDS-ACTION'}`
+      : '';
+    lines.push(`ATTENDEE${name}${status}:mailto:${attendee.email}`);
+  });
+  (event.recurrence ?? []).forEach((line) => lines.push(line));
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// A complete VCALENDAR for Google Calendar events. Cancelled events are left out.
+export const buildICS = (events, name = 'EventX') => {
+  const stamp = formatICalDateTimeUTC(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//EventX//EventX Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events
+      .filter((event) => event?.start && event.status !== 'cancelled')
+      .flatMap((event) => eventToVEvent(event, stamp)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+export const downloadICS = (filename, content) => {
+  const url = URL.createObjectURL(new Blob([content], { type: 'text/calendar;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename.endsWith('.ics') ? filename : `${filename}.ics`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
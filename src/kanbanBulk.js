@@ -0,0 +1,47 @@
+// Bulk actions on selected Kanban cards: backend calls run a few at a time so a big
+// selection doesn't flood the API, and every card gets its own result.
+
+export const BULK_CONCURRENCY = 4;
+
+export const BULK_RESULT_LABELS = {
+  done: 'Done',
+  queued: 'Queued',
+  skipped: 'Skipped',
+  failed: 'Failed',
+};
+
+// Run `worker(item)` over `items` with at most `limit` calls in flight. Resolves to
+// one { item, status: 'fulfilled' | 'rejected', value | error } per item, in order.
+export const runWithConcurrency = async (items, worker, limit = BULK_CONCURRENCY) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runLane = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      try {
+        results[index] = { item: items[index], status: 'fulfilled', value: await worker(items[index]) };
+      } catch (error) {
+        results[index] = { item: items[index], status: 'rejected', error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runLane));
+  return results;
+};
+
+// { done: 3, failed: 1, ... } for a list of card results
+export const countResults = (results) => results.reduce(
+  (counts, result) => ({ ...counts, [result.status]: (counts[result.status] ?? 0) + 1 }),
+  {}
+);
+
+// Card ids between two cards of the same list, both included
+export const getRangeIds = (items, fromId, toId) => {
+  const from = items.findIndex((item) => item.id === fromId);
+  const to = items.findIndex((item) => item.id === toId);
+  if (from === -1 || to === -1) return [toId];
+  return items.slice(Math.min(from, to), Math.max(from, to) + 1).map((item) => item.id);
+};
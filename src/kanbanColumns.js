@@ -0,0 +1,201 @@
+// Kanban column layout: the user's columns in order, their WIP limits, and which
+// column counts as "completed" for Google Tasks. Board items are stored separately
+// (see KanbanBoard); this is a preference that survives logout. Also holds the
+// helpers that keep card order within a column.
+import { useEffect, useState } from 'react';
+import { toTimeInputValue } from './calendarUtils';
+import { getDefaultTimeZone, toZonedTime } from './timeZone';
+import { dueToYMD } from './taskUtils';
+import { getEventYMD } from './kanbanFilters';
+
+const STORAGE_KEY = 'kanban_column_config';
+
+export const DEFAULT_COLUMN_CONFIG = {
+  columns: [
+    { id: 'todo', title: 'To Do', wipLimit: null },
+    { id: 'inProgress', title: 'In Progress', wipLimit: null },
+    { id: 'done', title: 'Done', wipLimit: null },
+  ],
+  completedColumnId: 'done',
+};
+
+const loadConfig = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored?.columns) && stored.columns.length > 0) {
+      const ids = stored.columns.map((column) => column.id);
+      return {
+        columns: stored.columns,
+        completedColumnId: ids.includes(stored.completedColumnId) ? stored.completedColumnId : ids[ids.length - 1],
+      };
+    }
+  } catch (e) {
+    console.error('Error loading from localStorage:', e);
+  }
+  return DEFAULT_COLUMN_CONFIG;
+};
+
+let config = loadConfig();
+
+export const getColumnConfig = () => config;
+
+export const setColumnConfig = (next) => {
+  config = next;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch (e) {
+    console.error('Error saving to localStorage:', e);
+  }
+  window.dispatchEvent(new CustomEvent('kanban-columns-changed'));
+};
+
+// Open tasks and upcoming events land in the first column that is not the completed one
+export const getIntakeColumnId = (columnConfig = config) => (
+  columnConfig.columns.find((column) => column.id !== columnConfig.completedColumnId)?.id
+  ?? columnConfig.columns[0].id
+);
+
+export const isOverWipLimit = (column, count) => Boolean(column.wipLimit) && count > column.wipLimit;
+
+// A readable id that is not taken yet, e.g. "review" or "review-2"
+export const createColumnId = (title, columnConfig = config) => {
+  const base = title.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'column';
+  const taken = new Set(columnConfig.columns.map((column) => column.id));
+  let id = base;
+  for (let suffix = 2; taken.has(id); suffix += 1) {
+    id = `${base}-${suffix}`;
+  }
+  return id;
+};
+
+// { [columnId]: { title, items: [] } } in column order
+export const buildEmptyColumns = (columnConfig = config) => Object.fromEntries(
+  columnConfig.columns.map((column) => [column.id, { title: column.title, items: [] }])
+);
+
+// Board data reshaped to a column layout: titles and order follow the config,
+// and items of columns that no longer exist move to the intake column
+export const applyColumnConfig = (boardColumns, columnConfig = config) => {
+  const next = buildEmptyColumns(columnConfig);
+  const intakeId = getIntakeColumnId(columnConfig);
+  Object.entries(boardColumns ?? {}).forEach(([columnId, column]) => {
+    const target = next[columnId] ? columnId : intakeId;
+    next[target].items = [...next[target].items, ...(column?.items ?? [])];
+  });
+  return next;
+};
+
+export const CARD_SORT_OPTIONS = [
+  { value: 'manual', label: 'Manual order' },
+  { value: 'due', label: 'Due date' },
+  { value: 'created', label: 'Newest first' },
+];
+
+// Tasks sort by due date and events by start; cards without one go last. Google writes
+// these as UTC midnights, plain dates or times with an offset, so keys are rewritten as
+// YYYY-MM-DD in `timeZone`, plus HH:MM for timed events, which sort after the day's tasks.
+const getDueKey = (item, timeZone) => {
+  if (item.type !== 'event') return dueToYMD(item.due);
+  if (!item.eventDate) return '';
+  const day = getEventYMD(item, timeZone);
+  return item.isAllDay ? day : `${day}T${toTimeInputValue(toZonedTime(new Date(item.eventDate), timeZone))}`;
+};
+
+const compareKeys = (a, b, direction = 1) => {
+  if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+  return a.localeCompare(b) * direction;
+};
+
+// A column's cards in the order its sort setting shows them. Sorting is a view;
+// the stored (manual) order is left alone. Due dates are compared in `timeZone`.
+export const sortCards = (items, sortBy = 'manual', timeZone = getDefaultTimeZone()) => {
+  if (sortBy === 'due') {
+    return [...items].sort((a, b) => compareKeys(getDueKey(a, timeZone), getDueKey(b, timeZone)));
+  }
+  if (sortBy === 'created') {
+    return [...items].sort((a, b) => compareKeys(a.createdAt, b.createdAt, -1));
+  }
+  return items;
+};
+
+// Google Tasks order by `position`, a zero-padded string that sorts lexicographically
+export const sortByTaskPosition = (tasks) => [...tasks].sort(
+  (a, b) => (a.position ?? '').localeCompare(b.position ?? '')
+);
+
+// Fresh items in the order the board last had them. Items the board has not seen yet
+// go right after the item that precedes them in `freshItems` (or first), so a task
+// added elsewhere shows up where Google Tasks puts it.
+export const mergeItemOrder = (storedItems, freshItems) => {
+  const freshById = new Map(freshItems.map((item) => [item.id, item]));
+  const result = (storedItems ?? []).filter((item) => freshById.has(item.id)).map((item) => freshById.get(item.id));
+  const placed = new Set(result.map((item) => item.id));
+
+  freshItems.forEach((item, index) => {
+    if (placed.has(item.id)) return;
+    const before = freshItems.slice(0, index).reverse().find((candidate) => placed.has(candidate.id));
+    const at = before ? result.findIndex((candidate) => candidate.id === before.id) + 1 : 0;
+    result.splice(at, 0, item);
+    placed.add(item.id);
+  });
+  return result;
+};
+
+// Move an item to `index` of a column's item list; `index` counts positions in the
+// list as it was before the move, as drop indicators do
+export const moveItem = (boardColumns, itemId, sourceColumnId, targetColumnId, index) => {
+  const sourceItems = boardColumns[sourceColumnId].items;
+  const fromIndex = sourceItems.findIndex((item) => item.id === itemId);
+  if (fromIndex === -1) return boardColumns;
+  const item = sourceItems[fromIndex];
+
+  const targetItems = sourceColumnId === targetColumnId
+    ? sourceItems.filter((i) => i.id !== itemId)
+    : [...boardColumns[targetColumnId].items];
+  const adjusted = sourceColumnId === targetColumnId && fromIndex < index ? index - 1 : index;
+  targetItems.splice(Math.min(Math.max(adjusted, 0), targetItems.length), 0, item);
+
+  return {
+    ...boardColumns,
+    [sourceColumnId]: { ...boardColumns[sourceColumnId], items: sourceItems.filter((i) => i.id !== itemId) },
+    [targetColumnId]: { ...boardColumns[targetColumnId], items: targetItems },
+  };
+};
+
+// The next drop index when a card is moved one place up (-1) or down (1) with the
+// keyboard. `fromIndex` is the card's index when it is in this column, else -1; just
+// above and just below itself are the same place, so the second is skipped.
+export const stepDropIndex = (index, fromIndex, direction, count) => {
+  let next = index + direction;
+  if (fromIndex !== -1 && next === fromIndex + 1) next = direction > 0 ? fromIndex + 2 : fromIndex;
+  return next < 0 || next > count ? index : next;
+};
+
+// 1-based position a card ends up at, and how many cards the column then has
+export const getDropPosition = (index, fromIndex, count) => (fromIndex === -1
+  ? { position: index + 1, total: count + 1 }
+  : { position: index > fromIndex ? index : index + 1, total: count });
+
+// The Google task a card sits right after in its column, for the Tasks move call;
+// null means the top. Calendar events and unsynced local tasks are skipped.
+export const getPreviousTaskId = (items, itemId) => {
+  const index = items.findIndex((item) => item.id === itemId);
+  const previous = items
+    .slice(0, Math.max(index, 0))
+    .reverse()
+    .find((item) => item.source === 'google-tasks' && item.originalId);
+  return previous?.originalId ?? null;
+};
+
+// Column layout; re-renders the caller when it changes
+export const useColumnConfig = () => {
+  const [state, setState] = useState(getColumnConfig);
+
+  useEffect(() => {
+    const handleChange = () => setState(getColumnConfig());
+    window.addEventListener('kanban-columns-changed', handleChange);
+    return () => window.removeEventListener('kanban-columns-changed', handleChange);
+  }, []);
+
+  return state;
+};
@@ -0,0 +1,227 @@
+// Pointer-based card dragging for the Kanban board, so cards can be moved with touch
+// as well as a mouse. A mouse drag starts once the pointer moves a few pixels; touch
+// and pens pick a card up with a long press, so a quick swipe still scrolls the page.
+// Columns and cards are found through data attributes: `data-column-id` and
+// `data-card-count` on columns (and `data-lane-id` on a column's cell in a swimlane),
+// `data-card-index` on cards.
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const DRAG_THRESHOLD = 5;
+const TOUCH_SLOP = 10;
+const LONG_PRESS_MS = 400;
+const EDGE_SIZE = 48;
+const MAX_SCROLL_SPEED = 18;
+
+const INTERACTIVE_SELECTOR = 'button, input, select, textarea, label, a';
+
+// Scroll speed for a pointer `distance` px from an edge: faster the closer it gets
+const getEdgeSpeed = (distance) => (
+  distance < EDGE_SIZE ? Math.ceil(((EDGE_SIZE - distance) / EDGE_SIZE) * MAX_SCROLL_SPEED) : 0
+);
+
+// `onDrop(item, sourceColumnId, targetColumnId, index, laneId)` gets the index in the
+// target column's list before the move, and the swimlane it was dropped in, if any.
+// Cards dropped on a column for which `isSortedColumn` is true go to its end.
+// `scrollContainerRef` is the horizontally scrolling board.
+export const useCardDrag = ({ onDrop, isSortedColumn, scrollContainerRef }) => {
+  const [drag, setDrag] = useState(null); // { item, sourceColumnId, x, y, offsetX, offsetY, width }
+  const [dropTarget, setDropTarget] = useState(null); // { columnId, index, laneId }
+  const [isPressing, setIsPressing] = useState(false);
+  const pressRef = useRef(null);
+  const dragRef = useRef(null);
+  const dropTargetRef = useRef(null);
+  const pointerRef = useRef(null);
+  const suppressClick = useRef(false);
+  // The latest callbacks, so window listeners don't need re-adding on every render
+  const callbacks = useRef({ onDrop, isSortedColumn });
+
+  useEffect(() => {
+    callbacks.current = { onDrop, isSortedColumn };
+  });
+
+  const updateDrag = useCallback((next) => {
+    dragRef.current = next;
+    setDrag(next);
+  }, []);
+
+  const updateDropTarget = useCallback((next) => {
+    const current = dropTargetRef.current;
+    if (current?.columnId === next?.columnId && current?.index === next?.index && current?.laneId === next?.laneId) return;
+    dropTargetRef.current = next;
+    setDropTarget(next);
+  }, []);
+
+  // The column and index under a point; above or below a card depends on its midpoint
+  const findDropTarget = useCallback((x, y) => {
+    const element = document.elementFromPoint(x, y);
+    const column = element?.closest('[data-column-id]');
+    if (!column) return null;
+    const { columnId, laneId } = column.dataset;
+    const count = Number(column.dataset.cardCount);
+    if (callbacks.current.isSortedColumn(columnId)) return { columnId, index: count, laneId };
+
+    const card = element.closest('[data-card-index]');
+    if (!card || !column.contains(card)) return { columnId, index: count, laneId };
+    const index = Number(card.dataset.cardIndex);
+    const rect = card.getBoundingClientRect();
+    return { columnId, index: y < rect.top + rect.height / 2 ? index : index + 1, laneId };
+  }, []);
+
+  const endPress = useCallback(() => {
+    clearTimeout(pressRef.current?.timer);
+    pressRef.current = null;
+    pointerRef.current = null;
+    setIsPressing(false);
+    updateDrag(null);
+    updateDropTarget(null);
+  }, [updateDrag, updateDropTarget]);
+
+  const activate = useCallback((press, x, y) => {
+    updateDrag({
+      item: press.item,
+      sourceColumnId: press.columnId,
+      x,
+      y,
+      offsetX: press.startX - press.rect.left,
+      offsetY: press.startY - press.rect.top,
+      width: press.rect.width,
+    });
+    pointerRef.current = { x, y };
+    updateDropTarget(findDropTarget(x, y));
+  }, [updateDrag, updateDropTarget, findDropTarget]);
+
+  // Pointer down on a card; presses on its buttons and fields are left alone
+  const startCardDrag = (e, item, columnId) => {
+    if (e.button !== 0 || e.target.closest(INTERACTIVE_SELECTOR)) return;
+    const press = {
+      item,
+      columnId,
+      pointerId: e.pointerId,
+      pointerType: e.pointerType,
+      startX: e.clientX,
+      startY: e.clientY,
+      rect: e.currentTarget.getBoundingClientRect(),
+      timer: null,
+    };
+    if (e.pointerType !== 'mouse') {
+      press.timer = setTimeout(() => {
+        if (pressRef.current === press) activate(press, press.startX, press.startY);
+      }, LONG_PRESS_MS);
+    }
+    pressRef.current = press;
+    setIsPressing(true);
+  };
+
+  useEffect(() => {
+    if (!isPressing) return undefined;
+
+    const handleMove = (e) => {
+      const press = pressRef.current;
+      if (!press || e.pointerId !== press.pointerId) return;
+
+      if (!dragRef.current) {
+        const distance = Math.hypot(e.clientX - press.startX, e.clientY - press.startY);
+        if (press.pointerType === 'mouse') {
+          if (distance > DRAG_THRESHOLD) activate(press, e.clientX, e.clientY);
+        } else if (distance > TOUCH_SLOP) {
+          // Moved before the long press finished: the user is scrolling
+          endPress();
+        }
+        return;
+      }
+
+      e.preventDefault();
+      pointerRef.current = { x: e.clientX, y: e.clientY };
+      updateDrag({ ...dragRef.current, x: e.clientX, y: e.clientY });
+      updateDropTarget(findDropTarget(e.clientX, e.clientY));
+    };
+
+    const handleUp = (e) => {
+      const press = pressRef.current;
+      if (!press || e.pointerId !== press.pointerId) return;
+      const current = dragRef.current;
+      const target = dropTargetRef.current;
+      endPress();
+      if (!current) return;
+      // The click that follows the drop shouldn't open the card
+      suppressClick.current = true;
+      setTimeout(() => {
+        suppressClick.current = false;
+      }, 0);
+      if (target) callbacks.current.onDrop(current.item, current.sourceColumnId, target.columnId, target.index, target.laneId);
+    };
+
+    const handleCancel = (e) => {
+      if (pressRef.current && e.pointerId === pressRef.current.pointerId) endPress();
+    };
+
+    // Once a card is picked up, touch moves drag it instead of scrolling the page
+    const handleTouchMove = (e) => {
+      if (dragRef.current) e.preventDefault();
+    };
+
+    // Long presses open the context menu on some phones
+    const handleContextMenu = (e) => {
+      if (pressRef.current?.pointerType !== 'mouse') e.preventDefault();
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') endPress();
+    };
+
+    window.addEventListener('pointermove', handleMove, { passive: false });
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('pointercancel', handleCancel);
+    window.addEventListener('touchmove', handleTouchMove, { passive: false });
+    window.addEventListener('contextmenu', handleContextMenu);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleCancel);
+      window.removeEventListener('touchmove', handleTouchMove);
+      window.removeEventListener('contextmenu', handleContextMenu);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isPressing, activate, endPress, updateDrag, updateDropTarget, findDropTarget]);
+
+  // Scroll the page and the board while the pointer is near their edges
+  const isDragging = drag !== null;
+  useEffect(() => {
+    if (!isDragging) return undefined;
+    let frame;
+
+    const step = () => {
+      const pointer = pointerRef.current;
+      if (pointer) {
+        const vertical = getEdgeSpeed(pointer.y) ? -getEdgeSpeed(pointer.y) : getEdgeSpeed(window.innerHeight - pointer.y);
+        if (vertical) window.scrollBy(0, vertical);
+
+        const board = scrollContainerRef.current;
+        let horizontal = 0;
+        if (board) {
+          const rect = board.getBoundingClientRect();
+          horizontal = getEdgeSpeed(pointer.x - rect.left)
+            ? -getEdgeSpeed(pointer.x - rect.left)
+            : getEdgeSpeed(rect.right - pointer.x);
+          if (horizontal) board.scrollLeft += horizontal;
+        }
+
+        if (vertical || horizontal) updateDropTarget(findDropTarget(pointer.x, pointer.y));
+      }
+      frame = requestAnimationFrame(step);
+    };
+
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [isDragging, updateDropTarget, findDropTarget, scrollContainerRef]);
+
+  // For onClickCapture on cards
+  const suppressClickAfterDrag = (e) => {
+    if (!suppressClick.current) return;
+    e.stopPropagation();
+    e.preventDefault();
+  };
+
+  return { drag, dropTarget, startCardDrag, suppressClickAfterDrag };
+};
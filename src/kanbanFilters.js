@@ -0,0 +1,105 @@
+// Kanban board filters: text search, card type, source and label, a date range for
+// events and hiding past events. Saved per signed-in user, so people sharing a browser each keep
+// their own.
+import { useEffect, useState } from 'react';
+import { toYMD } from './calendarUtils';
+import { toZonedTime } from './timeZone';
+
+const STORAGE_KEY = 'kanban_filters';
+
+export const FILTER_TYPES = [
+  { value: 'task', label: 'Tasks' },
+  { value: 'event', label: 'Events' },
+];
+
+export const FILTER_SOURCES = [
+  { value: 'google-tasks', label: 'Google Tasks' },
+  { value: 'google-calendar', label: 'Calendar' },
+  { value: 'local', label: 'Local' },
+];
+
+export const DEFAULT_FILTERS = {
+  query: '',
+  types: FILTER_TYPES.map((type) => type.value),
+  sources: FILTER_SOURCES.map((source) => source.value),
+  labels: [], // label ids; cards with any of them show, none means no label filter
+  eventFrom: '', // YYYY-MM-DD, inclusive
+  eventTo: '',
+  hidePastEvents: false,
+};
+
+const getStorageKey = (userKey) => (userKey ? `${STORAGE_KEY}:${userKey}` : STORAGE_KEY);
+
+const loadFilters = (userKey) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getStorageKey(userKey)));
+    if (stored && typeof stored === 'object') return { ...DEFAULT_FILTERS, ...stored };
+  } catch (e) {
+    console.error('Error loading from localStorage:', e);
+  }
+  return DEFAULT_FILTERS;
+};
+
+const saveFilters = (userKey, filters) => {
+  try {
+    localStorage.setItem(getStorageKey(userKey), JSON.stringify(filters));
+  } catch (e) {
+    console.error('Error saving to localStorage:', e);
+  }
+};
+
+export const isFiltering = (filters) => Boolean(
+  filters.query.trim()
+  || filters.types.length < FILTER_TYPES.length
+  || filters.sources.length < FILTER_SOURCES.length
+  || filters.labels.length > 0
+  || filters.eventFrom
+  || filters.eventTo
+  || filters.hidePastEvents
+);
+
+// The day an event starts on, in the board's time zone
+export const getEventYMD = (item, timeZone) => (
+  item.isAllDay ? item.eventDate.slice(0, 10) : toYMD(toZonedTime(new Date(item.eventDate), timeZone))
+);
+
+export const matchesFilters = (item, filters, timeZone) => {
+  if (!filters.types.includes(item.type) || !filters.sources.includes(item.source)) return false;
+  if (filters.labels.length > 0 && !(item.labels ?? []).some((id) => filters.labels.includes(id))) return false;
+
+  const query = filters.query.trim().toLowerCase();
+  if (query) {
+    const text = [item.content, item.notes, item.calendarEvent?.location, item.calendarEvent?.description]
+      .filter(Boolean)
+      .join('\n')
+      .toLowerCase();
+    if (!text.includes(query)) return false;
+  }
+
+  if (item.type === 'event') {
+    if (filters.hidePastEvents && item.status === 'past') return false;
+    if ((filters.eventFrom || filters.eventTo) && item.eventDate) {
+      const day = getEventYMD(item, timeZone);
+      if (filters.eventFrom && day < filters.eventFrom) return false;
+      if (filters.eventTo && day > filters.eventTo) return false;
+    }
+  }
+  return true;
+};
+
+// The filters of the user identified by `userKey` (e.g. their email), saved on change
+export const useKanbanFilters = (userKey) => {
+  const [state, setState] = useState(() => ({ userKey, filters: loadFilters(userKey) }));
+
+  // Someone else signed in: switch to their filters
+  useEffect(() => {
+    setState((prev) => (prev.userKey === userKey ? prev : { userKey, filters: loadFilters(userKey) }));
+  }, [userKey]);
+
+  const setFilters = (filters) => {
+    saveFilters(userKey, filters);
+    setState({ userKey, filters });
+  };
+
+  return [state.filters, setFilters];
+};
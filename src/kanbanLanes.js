@@ -0,0 +1,178 @@
+// Swimlanes on the Kanban board: rows that split every column by the cards' source,
+// due week, first label or task list. Like the filters, the grouping and the collapsed
+// lanes are saved per signed-in user.
+import { useEffect, useState } from 'react';
+import { addDays, parseYMD, startOfWeek, toYMD } from './calendarUtils';
+import { getZonedNow } from './timeZone';
+import { dueToYMD, ymdToDue } from './taskUtils';
+import { getEventYMD } from './kanbanFilters';
+import { resolveLabels } from './labels';
+
+const STORAGE_KEY = 'kanban_lanes';
+
+export const LANE_GROUPINGS = [
+  { value: 'none', label: 'None' },
+  { value: 'source', label: 'Source' },
+  { value: 'week', label: 'Due week' },
+  { value: 'label', label: 'Label' },
+  { value: 'taskList', label: 'Task list' },
+];
+
+// Lane of the cards without a due date, label or task list
+export const NO_LANE = 'none';
+
+export const DEFAULT_LANE_SETTINGS = {
+  groupBy: 'none',
+  collapsed: [], // `${groupBy}:${laneId}` of the collapsed lanes
+};
+
+const getStorageKey = (userKey) => (userKey ? `${STORAGE_KEY}:${userKey}` : STORAGE_KEY);
+
+const loadLaneSettings = (userKey) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getStorageKey(userKey)));
+    if (stored && typeof stored === 'object') return { ...DEFAULT_LANE_SETTINGS, ...stored };
+  } catch (e) {
+    console.error('Error loading from localStorage:', e);
+  }
+  return DEFAULT_LANE_SETTINGS;
+};
+
+const saveLaneSettings = (userKey, settings) => {
+  try {
+    localStorage.setItem(getStorageKey(userKey), JSON.stringify(settings));
+  } catch (e) {
+    console.error('Error saving to localStorage:', e);
+  }
+};
+
+export const isLaneCollapsed = (settings, laneId) => settings.collapsed.includes(`${settings.groupBy}:${laneId}`);
+
+export const toggleLaneCollapsed = (settings, laneId) => {
+  const key = `${settings.groupBy}:${laneId}`;
+  return {
+    ...settings,
+    collapsed: settings.collapsed.includes(key)
+      ? settings.collapsed.filter((collapsedKey) => collapsedKey !== key)
+      : [...settings.collapsed, key],
+  };
+};
+
+// The Sunday (see startOfWeek) of the week a YYYY-MM-DD day falls in
+const getWeekId = (ymd) => toYMD(startOfWeek(parseYMD(ymd)));
+
+// `context` is { timeZone, taskListId }, the list the board shows
+export const getCardLaneId = (item, groupBy, { timeZone, taskListId }) => {
+  switch (groupBy) {
+    case 'source':
+      return item.type === 'event' ? 'calendar' : 'tasks';
+    case 'week': {
+      const day = item.type === 'event' ? item.eventDate && getEventYMD(item, timeZone) : dueToYMD(item.due);
+      return day ? getWeekId(day) : NO_LANE;
+    }
+    case 'label':
+      return item.labels?.[0] ?? NO_LANE;
+    case 'taskList':
+      return item.type === 'task' ? taskListId : NO_LANE;
+    default:
+      return NO_LANE;
+  }
+};
+
+const formatWeek = (weekId, today) => {
+  const thisWeek = getWeekId(toYMD(today));
+  if (weekId === thisWeek) return 'This week';
+  if (weekId === toYMD(addDays(parseYMD(thisWeek), 7))) return 'Next week';
+  return `Week of ${parseYMD(weekId).toLocaleDateString([], { month: 'short', day: 'numeric' })}`;
+};
+
+// Lanes for the cards `items`, in board order, as [{ id, title, color?, hint? }].
+// `context` is { timeZone, taskListId, labels, taskLists }. This and next week always
+// get a lane, so tasks can be dropped into them.
+export const getLanes = (groupBy, items, context, today = getZonedNow()) => {
+  const laneIds = new Set(items.map((item) => getCardLaneId(item, groupBy, context)));
+  laneIds.delete(NO_LANE);
+
+  switch (groupBy) {
+    case 'source':
+      return [{ id: 'tasks', title: 'Tasks' }, { id: 'calendar', title: 'Calendar' }];
+    case 'week': {
+      const thisWeek = getWeekId(toYMD(today));
+      laneIds.add(thisWeek);
+      laneIds.add(toYMD(addDays(parseYMD(thisWeek), 7)));
+      return [
+        ...[...laneIds].sort().map((id) => ({ id, title: formatWeek(id, today) })),
+        { id: NO_LANE, title: 'No date' },
+      ];
+    }
+    case 'label': {
+      const ids = [...new Set([...context.labels.map((label) => label.id), ...laneIds])];
+      return [
+        ...resolveLabels(ids, context.labels).map((label) => ({ id: label.id, title: label.name, color: label.color })),
+        { id: NO_LANE, title: 'No label' },
+      ];
+    }
+    case 'taskList':
+      return [
+        ...context.taskLists.map((taskList) => ({
+          id: taskList.id,
+          title: taskList.title,
+          hint: taskList.id === context.taskListId ? undefined : 'Drop tasks here to move them to this list',
+        })),
+        { id: NO_LANE, title: 'Calendar events' },
+      ];
+    default:
+      return [];
+  }
+};
+
+// What a card dropped from lane `fromLaneId` into `laneId` changes to fit in: a due date
+// in that week (on the same weekday, or today for tasks without one), its label first
+// in place of the old lane's, or { taskListId }. Returns { changes } or, when the
+// lane's attribute doesn't apply to the card, { reason }.
+export const getLaneChanges = (item, groupBy, fromLaneId, laneId, today = getZonedNow()) => {
+  if (laneId === fromLaneId) return { changes: {} };
+
+  switch (groupBy) {
+    case 'week': {
+      if (item.type === 'event') return { reason: 'Calendar events keep their date.' };
+      if (laneId === NO_LANE) return { changes: { due: null } };
+      const todayYMD = toYMD(today);
+      const isThisWeek = todayYMD >= laneId && todayYMD <= toYMD(addDays(parseYMD(laneId), 6));
+      let day = isThisWeek ? todayYMD : laneId;
+      if (item.due) day = toYMD(addDays(parseYMD(laneId), parseYMD(dueToYMD(item.due)).getDay()));
+      return { changes: { due: ymdToDue(day) } };
+    }
+    case 'label':
+      return {
+        changes: {
+          labels: laneId === NO_LANE
+            ? []
+            : [laneId, ...(item.labels ?? []).filter((id) => id !== laneId && id !== fromLaneId)],
+        },
+      };
+    case 'taskList':
+      if (item.type === 'event') return { reason: 'Calendar events are not in a task list.' };
+      if (laneId === NO_LANE) return { reason: 'Tasks always belong to a task list.' };
+      return { changes: { taskListId: laneId } };
+    default:
+      return { reason: 'Tasks and calendar events stay in their own lanes.' };
+  }
+};
+
+// The lane settings of the user identified by `userKey` (e.g. their email), saved on change
+export const useKanbanLanes = (userKey) => {
+  const [state, setState] = useState(() => ({ userKey, settings: loadLaneSettings(userKey) }));
+
+  // Someone else signed in: switch to their lanes
+  useEffect(() => {
+    setState((prev) => (prev.userKey === userKey ? prev : { userKey, settings: loadLaneSettings(userKey) }));
+  }, [userKey]);
+
+  const setSettings = (settings) => {
+    saveLaneSettings(userKey, settings);
+    setState({ userKey, settings });
+  };
+
+  return [state.settings, setSettings];
+};
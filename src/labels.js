@@ -0,0 +1,87 @@
+// User-defined card labels, each a name and a color. Cards only carry label ids:
+// tasks in their notes (see withNoteMarkers) and events in a private extended
+// property, so labels stay on them through a refetch; the definitions live here.
+import { useEffect, useState } from 'react';
+
+const STORAGE_KEY = 'eventx_labels';
+
+// Google Calendar's private extended property holding an event's label ids
+const EVENT_LABELS_PROPERTY = 'eventxLabels';
+
+export const LABEL_COLORS = ['#e96a02', '#d8a245', '#38a169', '#3182ce', '#805ad5', '#d53f8c', '#718096'];
+
+const loadLabels = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    console.error('Error loading from localStorage:', e);
+    return [];
+  }
+};
+
+let labels = loadLabels();
+
+export const getLabels = () => labels;
+
+const setLabels = (next) => {
+  labels = next;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch (e) {
+    console.error('Error saving to localStorage:', e);
+  }
+  window.dispatchEvent(new CustomEvent('labels-changed'));
+};
+
+// A readable id that is not taken yet, e.g. "urgent" or "urgent-2"
+const createLabelId = (name) => {
+  const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'label';
+  const taken = new Set(labels.map((label) => label.id));
+  let id = base;
+  for (let suffix = 2; taken.has(id); suffix += 1) {
+    id = `${base}-${suffix}`;
+  }
+  return id;
+};
+
+export const createLabel = (name, color = LABEL_COLORS[labels.length % LABEL_COLORS.length]) => {
+  const label = { id: createLabelId(name), name: name.trim(), color };
+  setLabels([...labels, label]);
+  return label;
+};
+
+// Cards keep the id and show it as a gray chip named after it (see resolveLabels),
+// until a label with the same name, and so the same id, is created again
+export const deleteLabel = (labelId) => setLabels(labels.filter((label) => label.id !== labelId));
+
+// Labels for ids carried by a card. Deleted ids, and ids defined in another browser,
+// show as gray chips named after themselves.
+export const resolveLabels = (labelIds = [], definitions = labels) => labelIds.map((id) => (
+  definitions.find((label) => label.id === id) ?? { id, name: id, color: LABEL_COLORS[LABEL_COLORS.length - 1] }
+));
+
+export const getEventLabelIds = (event) => (
+  event?.extendedProperties?.private?.[EVENT_LABELS_PROPERTY] ?? ''
+).split(',').filter(Boolean);
+
+export const withEventLabels = (event, labelIds) => ({
+  ...event,
+  extendedProperties: {
+    ...event?.extendedProperties,
+    private: { ...event?.extendedProperties?.private, [EVENT_LABELS_PROPERTY]: labelIds.join(',') },
+  },
+});
+
+// Label definitions; re-renders the caller when they change
+export const useLabels = () => {
+  const [state, setState] = useState(getLabels);
+
+  useEffect(() => {
+    const handleChange = () => setState(getLabels());
+    window.addEventListener('labels-changed', handleChange);
+    return () => window.removeEventListener('labels-changed', handleChange);
+  }, []);
+
+  return state;
+};
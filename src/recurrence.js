@@ -0,0 +1,312 @@
+// RRULE building and client-side expansion of recurring events.
+// Supports the subset the Create Event form produces (and most Google series use):
+// FREQ=DAILY|WEEKLY|MONTHLY|YEARLY with INTERVAL, BYDAY, BYMONTHDAY, COUNT and UNTIL.
+import {
+  addDays,
+  parseYMD,
+  toYMD,
+  startOfDay,
+  isAllDayEvent,
+  getEventStart,
+  getEventEnd,
+  getEventTimeZone,
+} from './calendarUtils';
+import { getDefaultTimeZone, toZonedTime, fromZonedTime } from './timeZone';
+
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+const MAX_OCCURRENCES = 1000; // safety net: most occurrences returned for one range
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// 20260310 / 20260310T100000 / 20260310T043000Z -> Date (floating times are local).
+// With `timeZone`, UTC times come back as wall-clock Dates in that zone.
+export const parseICalDate = (value, timeZone) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec((value || '').trim());
+  if (!match) return null;
+  const [, y, m, d, hh, mm, ss, utc] = match;
+  if (hh === undefined) return new Date(Number(y), Number(m) - 1, Number(d));
+  if (utc) {
+    const instant = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss || 0)));
+    return timeZone ? toZonedTime(instant, timeZone) : instant;
+  }
+  return new Date(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss || 0));
+};
+
+export const formatICalDate = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+export const formatICalDateTimeUTC = (date) => (
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+);
+
+// Which occurrence of its weekday a date is within the month, 1-5
+export const getNthWeekday = (date) => Math.ceil(date.getDate() / 7);
+
+export const isLastWeekdayOfMonth = (date) => addDays(date, 7).getMonth() !== date.getMonth();
+
+// "second Tuesday" for a monthly BYDAY value such as 2TU, "last Friday" for -1FR
+const describeNthWeekday = (byDay) => {
+  const match = /^(-?\d)([A-Z]{2})$/.exec(byDay);
+  return match && ORDINALS[match[1]] ? `${ORDINALS[match[1]]} ${WEEKDAY_NAMES[WEEKDAY_CODES.indexOf(match[2])]}` : null;
+};
+
+// Day of month for the nth (or last, n = -1) given weekday, or null if it does not exist
+const nthWeekdayOfMonth = (year, month, weekday, n) => {
+  if (n > 0) {
+    const first = new Date(year, month, 1).getDay();
+    const day = 1 + ((weekday - first + 7) % 7) + (n - 1) * 7;
+    return day <= new Date(year, month + 1, 0).getDate() ? day : null;
+  }
+  const lastDate = new Date(year, month + 1, 0);
+  const day = lastDate.getDate() - ((lastDate.getDay() - weekday + 7) % 7) + (n + 1) * 7;
+  return day >= 1 ? day : null;
+};
+
+// Build an RRULE line from the Create Event repeat options; returns null for one-off events.
+// options: { frequency, interval, weekdays, monthlyMode ('date', 'weekday' or 'lastWeekday'),
+// ends, count, until }
+export const buildRRule = (options, startDate, timeZone = getDefaultTimeZone()) => {
+  if (!options || !options.frequency || options.frequency === 'none') return null;
+
+  const start = parseYMD(startDate);
+  const parts = [`FREQ=${options.frequency.toUpperCase()}`];
+  const interval = Math.max(1, parseInt(options.interval, 10) || 1);
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+
+  if (options.frequency === 'weekly') {
+    const days = options.weekdays?.length ? options.weekdays : [WEEKDAY_CODES[start.getDay()]];
+    const ordered = WEEKDAY_CODES.filter((code) => days.includes(code));
+    parts.push(`BYDAY=${ordered.join(',')}`);
+  } else if (options.frequency === 'monthly') {
+    if (options.monthlyMode === 'weekday') {
+      parts.push(`BYDAY=${getNthWeekday(start)}${WEEKDAY_CODES[start.getDay()]}`);
+    } else if (options.monthlyMode === 'lastWeekday') {
+      parts.push(`BYDAY=-1${WEEKDAY_CODES[start.getDay()]}`);
+    } else {
+      parts.push(`BYMONTHDAY=${start.getDate()}`);
+    }
+  }
+
+  if (options.ends === 'count') {
+    parts.push(`COUNT=${Math.max(1, parseInt(options.count, 10) || 1)}`);
+  } else if (options.ends === 'until' && options.until) {
+    // Inclusive of the whole final day in the event's zone
+    const lastDay = parseYMD(options.until);
+    lastDay.setHours(23, 59, 59);
+    parts.push(`UNTIL=${formatICalDateTimeUTC(fromZonedTime(lastDay, timeZone))}`);
+  }
+
+  return `RRULE:${parts.join(';')}`;
+};
+
+export const parseRRule = (line) => {
+  const body = (line || '').replace(/^RRULE:/i, '');
+  return body.split(';').reduce((rule, part) => {
+    const [key, value] = part.split('=');
+    if (key && value !== undefined) rule[key.toUpperCase()] = value;
+    return rule;
+  }, {});
+};
+
+export const getRRule = (event) => (event?.recurrence ?? []).find((line) => /^RRULE:/i.test(line)) ?? null;
+
+export const isRecurringSeries = (event) => Boolean(getRRule(event));
+
+export const isRecurringInstance = (event) => Boolean(event?.recurringEventId);
+
+// Human readable summary of a recurrence rule
+export const describeRRule = (line) => {
+  const rule = parseRRule(line);
+  const interval = parseInt(rule.INTERVAL, 10) || 1;
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+  const unit = units[rule.FREQ];
+  if (!unit) return 'Repeats';
+
+  let text = interval > 1 ? `Every ${interval} ${unit}s` : `${unit === 'day' ? 'Daily' : `${unit.charAt(0).toUpperCase()}${unit.slice(1)}ly`}`;
+  if (rule.FREQ === 'WEEKLY' && rule.BYDAY) {
+    text += ` on ${rule.BYDAY.split(',').map((code) => WEEKDAY_NAMES[WEEKDAY_CODES.indexOf(code)]?.slice(0, 3)).join(', ')}`;
+  } else if (rule.FREQ === 'MONTHLY' && describeNthWeekday(rule.BYDAY)) {
+    text += ` on the ${describeNthWeekday(rule.BYDAY)}`;
+  } else if (rule.FREQ === 'MONTHLY' && rule.BYMONTHDAY) {
+    text += ` on day ${rule.BYMONTHDAY}`;
+  }
+  if (rule.COUNT) text += `, ${rule.COUNT} times`;
+  if (rule.UNTIL) {
+    const until = parseICalDate(rule.UNTIL);
+    if (until) text += `, until ${until.toLocaleDateString()}`;
+  }
+  return text;
+};
+
+// Dates (at the series' start time) on which the rule fires from rangeStart up to
+// rangeEnd. Occurrences before rangeStart still count towards COUNT. All dates are
+// wall-clock times in `timeZone`.
+const generateOccurrenceStarts = (rule, seriesStart, rangeStart, rangeEnd, timeZone) => {
+  const interval = parseInt(rule.INTERVAL, 10) || 1;
+  const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+  const until = rule.UNTIL ? parseICalDate(rule.UNTIL, timeZone) : null;
+  const hours = seriesStart.getHours();
+  const minutes = seriesStart.getMinutes();
+  const atStartTime = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes);
+
+  const starts = [];
+  let seen = 0; // occurrences since DTSTART
+  // Returns false once the series is exhausted or past the range
+  const accept = (date) => {
+    if (date < seriesStart) return true;
+    if ((until && date > until) || date > rangeEnd || seen >= count || starts.length >= MAX_OCCURRENCES) return false;
+    seen += 1;
+    if (date >= rangeStart) starts.push(date);
+    return true;
+  };
+
+  const byDay = rule.BYDAY ? rule.BYDAY.split(',') : [];
+
+  if (rule.FREQ === 'DAILY') {
+    let date = seriesStart;
+    while (accept(date)) {
+      date = atStartTime(addDays(date, interval));
+    }
+  } else if (rule.FREQ === 'WEEKLY') {
+    const listed = byDay.map((code) => WEEKDAY_CODES.indexOf(code.slice(-2))).filter((day) => day >= 0);
+    const weekdays = listed.length ? listed.sort((a, b) => a - b) : [seriesStart.getDay()];
+    let weekStart = addDays(startOfDay(seriesStart), -seriesStart.getDay());
+    for (let running = true; running; weekStart = addDays(weekStart, 7 * interval)) {
+      for (const weekday of weekdays) {
+        if (!accept(atStartTime(addDays(weekStart, weekday)))) {
+          running = false;
+          break;
+        }
+      }
+    }
+  } else if (rule.FREQ === 'MONTHLY') {
+    const nthMatch = byDay.length ? /^(-?\d)([A-Z]{2})$/.exec(byDay[0]) : null;
+    const monthDay = rule.BYMONTHDAY ? parseInt(rule.BYMONTHDAY, 10) : seriesStart.getDate();
+    for (let offset = 0, running = true; running; offset += interval) {
+      const year = seriesStart.getFullYear();
+      const month = seriesStart.getMonth() + offset;
+      let day = monthDay;
+      if (nthMatch) {
+        day = nthWeekdayOfMonth(year, month, WEEKDAY_CODES.indexOf(nthMatch[2]), parseInt(nthMatch[1], 10));
+      } else if (monthDay < 0) {
+        // BYMONTHDAY=-1 is the last day of the month
+        day = new Date(year, month + 1, 0).getDate() + 1 + monthDay;
+      }
+      const candidate = new Date(year, month, day, hours, minutes);
+      // Months without that day (e.g. the 31st) are skipped
+      if (day === null || candidate.getMonth() !== ((month % 12) + 12) % 12) {
+        if (new Date(year, month, 1) > rangeEnd) break;
+        continue;
+      }
+      running = accept(candidate);
+    }
+  } else if (rule.FREQ === 'YEARLY') {
+    for (let offset = 0, running = true; running; offset += interval) {
+      const candidate = new Date(seriesStart.getFullYear() + offset, seriesStart.getMonth(), seriesStart.getDate(), hours, minutes);
+      if (candidate.getMonth() !== seriesStart.getMonth()) {
+        // Feb 29 in a non-leap year
+        if (candidate > rangeEnd) break;
+        continue;
+      }
+      running = accept(candidate);
+    }
+  }
+
+  return starts;
+};
+
+// Days excluded from a series through EXDATE lines
+const getExcludedDays = (event, timeZone) => {
+  const excluded = new Set();
+  (event?.recurrence ?? [])
+    .filter((line) => /^EXDATE/i.test(line))
+    .forEach((line) => {
+      const values = line.slice(line.indexOf(':') + 1).split(',');
+      values.forEach((value) => {
+        const date = parseICalDate(value, timeZone);
+        if (date) excluded.add(toYMD(date));
+      });
+    });
+  return excluded;
+};
+
+// Google's id for one instance of a series: <seriesId>_<YYYYMMDD> or <seriesId>_<YYYYMMDDTHHMMSSZ>
+export const getInstanceId = (seriesId, start, allDay) => (
+  `${seriesId}_${allDay ? formatICalDate(start) : formatICalDateTimeUTC(start)}`
+);
+
+// Occurrences of a recurring event that overlap [rangeStart, rangeEnd), given as
+// wall-clock Dates in the default zone. Timed series repeat in their own zone.
+export const expandEvent = (event, rangeStart, rangeEnd) => {
+  const rrule = getRRule(event);
+  const allDay = isAllDayEvent(event);
+  const timeZone = getEventTimeZone(event);
+  const seriesStart = getEventStart(event, timeZone);
+  if (!rrule || !seriesStart || Number.isNaN(seriesStart.getTime())) return [event];
+
+  // Move the range into the series' zone so both sides compare as wall-clock times
+  const inSeriesZone = (date) => (allDay ? date : toZonedTime(fromZonedTime(date), timeZone));
+  const seriesEnd = getEventEnd(event, timeZone);
+  const duration = seriesEnd - seriesStart;
+  const excluded = getExcludedDays(event, timeZone);
+  const { recurrence: _recurrence, ...base } = event;
+
+  // Occurrences that start before the range may still run into it
+  const earliestStart = new Date(inSeriesZone(rangeStart).getTime() - Math.max(duration, 1));
+
+  return generateOccurrenceStarts(parseRRule(rrule), seriesStart, earliestStart, inSeriesZone(rangeEnd), timeZone)
+    .filter((start) => start.getTime() + Math.max(duration, 1) > inSeriesZone(rangeStart).getTime())
+    .filter((start) => !excluded.has(toYMD(start)))
+    .map((start) => {
+      if (allDay) {
+        const end = addDays(start, Math.round(duration / (24 * 60 * 60 * 1000)));
+        return {
+          ...base,
+          id: getInstanceId(event.id, start, true),
+          recurringEventId: event.id,
+          originalStartTime: { date: toYMD(start) },
+          start: { ...event.start, date: toYMD(start) },
+          end: { ...event.end, date: toYMD(end) },
+          seriesEvent: event,
+        };
+      }
+
+      const startInstant = fromZonedTime(start, timeZone);
+      const endInstant = new Date(startInstant.getTime() + duration);
+      return {
+        ...base,
+        id: getInstanceId(event.id, startInstant, false),
+        recurringEventId: event.id,
+        originalStartTime: { dateTime: startInstant.toISOString(), timeZone },
+        start: { ...event.start, dateTime: startInstant.toISOString() },
+        end: { ...event.end, dateTime: endInstant.toISOString() },
+        seriesEvent: event,
+      };
+    });
+};
+
+// Replace recurring series with their occurrences in range. Instances the backend
+// returned itself (modified or cancelled exceptions) take the place of generated ones.
+export const expandRecurringEvents = (events, rangeStart, rangeEnd) => {
+  const knownInstanceIds = new Set(events.filter(isRecurringInstance).map((event) => event.id));
+
+  return events.flatMap((event) => {
+    if (event.status === 'cancelled') return [];
+    if (!isRecurringSeries(event)) return [event];
+    return expandEvent(event, rangeStart, rangeEnd).filter((occurrence) => !knownInstanceIds.has(occurrence.id));
+  });
+};
+
+// Repeat options from the Create Event form's named inputs
+export const readRecurrenceForm = (formData) => ({
+  frequency: (formData.get('repeatFrequency') || 'none').toString(),
+  interval: (formData.get('repeatInterval') || '1').toString(),
+  weekdays: formData.getAll('repeatWeekdays').map(String),
+  monthlyMode: (formData.get('repeatMonthlyMode') || 'date').toString(),
+  ends: (formData.get('repeatEnds') || 'never').toString(),
+  count: (formData.get('repeatCount') || '').toString(),
+  until: (formData.get('repeatUntil') || '').toString(),
+});
@@ -0,0 +1,121 @@
+// The user's Google Task lists and which one the board and task panel show.
+// Google returns the default list first; it is always referred to as '@default',
+// which is what the backend assumes when no task_list_id is given.
+import { useEffect, useState } from 'react';
+import api from './api';
+
+export const DEFAULT_TASK_LIST_ID = '@default';
+
+const STORAGE_KEY = 'eventx_task_list';
+
+const DEFAULT_TASK_LIST = { id: DEFAULT_TASK_LIST_ID, title: 'My Tasks' };
+
+const loadSelectedId = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || DEFAULT_TASK_LIST_ID;
+  } catch (e) {
+    console.error('Error loading from localStorage:', e);
+    return DEFAULT_TASK_LIST_ID;
+  }
+};
+
+let taskLists = [DEFAULT_TASK_LIST];
+let taskListsRequest = null;
+let taskListsLoaded = false;
+let selectedId = loadSelectedId();
+
+const notifyChange = () => window.dispatchEvent(new CustomEvent('task-lists-changed'));
+
+const normalizeTaskList = (list, index) => ({
+  id: index === 0 ? DEFAULT_TASK_LIST_ID : list.id,
+  title: list.title || 'Untitled list',
+});
+
+// Fetch the task lists once; falls back to the default list alone
+export const loadTaskLists = () => {
+  if (!taskListsRequest) {
+    taskListsRequest = api.get('/tasks/lists', { withCredentials: true })
+      .then((res) => {
+        const raw = res.data?.task_lists ?? res.data?.items ?? res.data ?? [];
+        const list = Array.isArray(raw) ? raw.filter((taskList) => taskList?.id).map(normalizeTaskList) : [];
+        taskLists = list.length > 0 ? list : [DEFAULT_TASK_LIST];
+        taskListsLoaded = true;
+      })
+      .catch((error) => {
+        console.error('Failed to load task lists:', error);
+        taskLists = [DEFAULT_TASK_LIST];
+        taskListsRequest = null; // try again next time
+      })
+      .then(() => {
+        notifyChange();
+        return taskLists;
+      });
+  }
+  return taskListsRequest;
+};
+
+// Forget the lists, e.g. after logout
+export const resetTaskLists = () => {
+  taskLists = [DEFAULT_TASK_LIST];
+  taskListsRequest = null;
+  taskListsLoaded = false;
+  notifyChange();
+};
+
+export const getTaskLists = () => taskLists;
+
+// Once the lists are loaded, a stored list that no longer exists falls back to the default list
+export const getSelectedTaskListId = () => (
+  !taskListsLoaded || taskLists.some((taskList) => taskList.id === selectedId) ? selectedId : DEFAULT_TASK_LIST_ID
+);
+
+export const setSelectedTaskListId = (taskListId) => {
+  selectedId = taskListId;
+  try {
+    localStorage.setItem(STORAGE_KEY, taskListId);
+  } catch (e) {
+    console.error('Error saving to localStorage:', e);
+  }
+  notifyChange();
+};
+
+export const createTaskList = async (title) => {
+  const res = await api.post('/tasks/lists', { title }, { withCredentials: true });
+  const created = { id: res.data.id, title: res.data.title || title };
+  taskLists = [...taskLists, created];
+  notifyChange();
+  return created;
+};
+
+export const renameTaskList = async (taskListId, title) => {
+  await api.put(`/tasks/lists/${encodeURIComponent(taskListId)}`, { title }, { withCredentials: true });
+  taskLists = taskLists.map((taskList) => (taskList.id === taskListId ? { ...taskList, title } : taskList));
+  notifyChange();
+};
+
+// Query params that point a task request at a list; the default one needs none
+export const taskListParams = (taskListId = getSelectedTaskListId()) => (
+  taskListId && taskListId !== DEFAULT_TASK_LIST_ID ? { task_list_id: taskListId } : {}
+);
+
+// Request config for reading or changing tasks in the selected list
+export const taskRequestConfig = (taskListId) => ({
+  withCredentials: true,
+  params: taskListParams(taskListId),
+});
+
+const readTaskListState = () => ({ taskLists, selectedTaskListId: getSelectedTaskListId() });
+
+// Task lists and the selected list; re-renders the caller when they change
+export const useTaskLists = () => {
+  const [state, setState] = useState(readTaskListState);
+
+  useEffect(() => {
+    const handleChange = () => setState(readTaskListState());
+    window.addEventListener('task-lists-changed', handleChange);
+    loadTaskLists();
+    return () => window.removeEventListener('task-lists-changed', handleChange);
+  }, []);
+
+  return state;
+};
@@ -0,0 +1,207 @@
+// Task changes that could not reach the backend, kept in localStorage and replayed
+// in order. A change is queued when the network or server fails, and every later
+// change queues behind it so Google Tasks sees them in the order they were made.
+// Cards created while offline are known by their `local-…` card id until their
+// create goes through.
+import { useEffect, useState } from 'react';
+import api from './api';
+import { taskRequestConfig } from './taskLists';
+
+const STORAGE_KEY = 'kanban_outbox';
+
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 5000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+
+export const MUTATION_LABELS = {
+  create: 'Create',
+  update: 'Edit',
+  complete: 'Complete',
+  uncomplete: 'Reopen',
+  delete: 'Delete',
+  move: 'Move',
+};
+
+const loadOutbox = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    console.error('Error loading from localStorage:', e);
+    return [];
+  }
+};
+
+let outbox = loadOutbox();
+let replaying = null;
+
+const setOutbox = (next) => {
+  outbox = next;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch (e) {
+    console.error('Error saving to localStorage:', e);
+  }
+  window.dispatchEvent(new CustomEvent('task-outbox-changed'));
+};
+
+export const getOutbox = () => outbox;
+
+// Network errors and server errors are worth retrying; a 4xx will fail again
+const isRetryable = (error) => !error.response || error.response.status >= 500;
+
+const getErrorMessage = (error) => error.response?.data?.detail ?? error.message ?? 'Request failed';
+
+const getBackoffDelay = (attempts) => Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+
+export const hasPendingCreate = (cardId) => outbox.some(
+  (mutation) => mutation.type === 'create' && mutation.cardId === cardId
+);
+
+const runMutation = (mutation) => {
+  const config = taskRequestConfig(mutation.taskListId);
+  switch (mutation.type) {
+    case 'create':
+      return api.post('/tasks/', { ...mutation.payload, task_list_id: mutation.taskListId }, { withCredentials: true });
+    case 'update':
+      return api.put(`/tasks/${mutation.taskId}`, mutation.payload, config);
+    case 'complete':
+    case 'uncomplete':
+      return api.put(`/tasks/${mutation.taskId}/${mutation.type}`, {}, config);
+    case 'delete':
+      return api.delete(`/tasks/${mutation.taskId}`, config);
+    case 'move':
+      return api.put(`/tasks/${mutation.taskId}/move`, mutation.payload, config);
+    default:
+      return Promise.reject(new Error(`Unknown task change "${mutation.type}"`));
+  }
+};
+
+const enqueue = (mutation) => {
+  // Deleting a card that was never created just drops its queued changes
+  if (mutation.type === 'delete' && hasPendingCreate(mutation.cardId)) {
+    setOutbox(outbox.filter((queued) => queued.cardId !== mutation.cardId));
+    return;
+  }
+  setOutbox([...outbox, {
+    ...mutation,
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    failed: false,
+    lastError: null,
+  }]);
+};
+
+// Queue a task change without trying to send it first, e.g. while the page is
+// closing. It goes out with the next replay.
+export const queueTaskMutation = (mutation) => enqueue(mutation);
+
+// Send a task change, or queue it when it can't be sent yet. `mutation` is
+// { type, cardId, taskId, taskListId, title, payload }; taskId is null for cards
+// still waiting for their create. Resolves to { queued: true } or { response };
+// rejects with errors that retrying won't fix.
+export const sendTaskMutation = async (mutation) => {
+  const mustWait = outbox.some((queued) => !queued.failed || queued.cardId === mutation.cardId);
+  if (mustWait || (!mutation.taskId && mutation.type !== 'create')) {
+    enqueue(mutation);
+    return { queued: true };
+  }
+  try {
+    return { response: await runMutation(mutation) };
+  } catch (error) {
+    if (!isRetryable(error)) throw error;
+    console.error(`Queued task change after error: ${getErrorMessage(error)}`);
+    enqueue(mutation);
+    return { queued: true };
+  }
+};
+
+// Replay queued changes in order, stopping at the first one that has to wait.
+// Changes that keep failing are marked failed and hold back later changes to the
+// same card. Resolves to { [cardId]: task } for cards whose create went through.
+const replay = async () => {
+  const created = {};
+  const blockedCards = new Set();
+  // Offline attempts would only use up retries; the `online` event replays instead
+  if (!navigator.onLine) return created;
+
+  for (const queued of outbox) {
+    const mutation = outbox.find((m) => m.id === queued.id);
+    if (!mutation) continue;
+    if (mutation.failed || blockedCards.has(mutation.cardId)) {
+      blockedCards.add(mutation.cardId);
+      continue;
+    }
+    if (mutation.nextAttemptAt > Date.now() || (!mutation.taskId && mutation.type !== 'create')) break;
+
+    try {
+      const response = await runMutation(mutation);
+      let next = outbox.filter((m) => m.id !== mutation.id);
+      if (mutation.type === 'create') {
+        created[mutation.cardId] = response.data;
+        // Later changes to this card can now name the real task
+        next = next.map((m) => (m.cardId === mutation.cardId ? { ...m, taskId: response.data.id } : m));
+      }
+      setOutbox(next);
+    } catch (error) {
+      const attempts = mutation.attempts + 1;
+      const failed = !isRetryable(error) || attempts >= MAX_ATTEMPTS;
+      setOutbox(outbox.map((m) => (m.id === mutation.id ? {
+        ...m,
+        attempts,
+        failed,
+        nextAttemptAt: Date.now() + getBackoffDelay(attempts),
+        lastError: getErrorMessage(error),
+      } : m)));
+      if (!failed) break;
+      blockedCards.add(mutation.cardId);
+    }
+  }
+  return created;
+};
+
+export const replayOutbox = () => {
+  if (!replaying) {
+    replaying = replay().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+};
+
+// When the next queued change may be retried, or null when nothing is waiting
+export const getNextAttemptAt = () => {
+  const waiting = outbox.filter((mutation) => !mutation.failed);
+  return waiting.length > 0 ? Math.min(...waiting.map((mutation) => mutation.nextAttemptAt)) : null;
+};
+
+export const retryMutation = (mutationId) => {
+  setOutbox(outbox.map((mutation) => (mutation.id === mutationId
+    ? { ...mutation, attempts: 0, failed: false, nextAttemptAt: Date.now() }
+    : mutation)));
+};
+
+// Give up on a change; later changes to a card that was never created go with it
+export const discardMutation = (mutationId) => {
+  const mutation = outbox.find((m) => m.id === mutationId);
+  if (!mutation) return;
+  setOutbox(outbox.filter((m) => m.id !== mutationId
+    && !(mutation.type === 'create' && m.cardId === mutation.cardId)));
+};
+
+// Forget everything queued, e.g. after logout
+export const clearOutbox = () => setOutbox([]);
+
+// Queued changes; re-renders the caller when they change
+export const useOutbox = () => {
+  const [state, setState] = useState(getOutbox);
+
+  useEffect(() => {
+    const handleChange = () => setState(getOutbox());
+    window.addEventListener('task-outbox-changed', handleChange);
+    return () => window.removeEventListener('task-outbox-changed', handleChange);
+  }, []);
+
+  return state;
+};
@@ -0,0 +1,89 @@
+// Google Tasks helpers shared by the Kanban board and the task list.
+import { addDays, parseYMD, toYMD } from './calendarUtils';
+import { getZonedNow } from './timeZone';
+
+// Google Tasks stores due dates as midnight UTC timestamps and ignores the time,
+// so only the date part is meaningful
+export const dueToYMD = (due) => (due ? due.slice(0, 10) : '');
+
+export const ymdToDue = (ymd) => (ymd ? `${ymd}T00:00:00.000Z` : null);
+
+// Board data Google Tasks has no field for roams with the task as marker lines at the
+// end of its notes: the column of a task that sits in a column Google Tasks has no
+// status for (e.g. "In Progress"), and the ids of its labels. Cards show the notes
+// without them.
+const NOTE_MARKERS_PATTERN = /(?:\n*\[eventx:[a-z]+=[\w,-]*\])+\s*$/;
+
+const readNoteMarker = (notes, key) => {
+  const markers = NOTE_MARKERS_PATTERN.exec(notes ?? '')?.[0] ?? '';
+  return new RegExp(`\\[eventx:${key}=([\\w,-]*)\\]`).exec(markers)?.[1] ?? null;
+};
+
+export const getColumnMarker = (notes) => readNoteMarker(notes, 'column') || null;
+
+export const getLabelIds = (notes) => (readNoteMarker(notes, 'labels') ?? '').split(',').filter(Boolean);
+
+export const stripNoteMarkers = (notes) => (notes ?? '').replace(NOTE_MARKERS_PATTERN, '');
+
+export const withNoteMarkers = (notes, { columnId = null, labelIds = [] } = {}) => {
+  const text = stripNoteMarkers(notes);
+  const markers = [
+    columnId && `[eventx:column=${columnId}]`,
+    labelIds.length > 0 && `[eventx:labels=${labelIds.join(',')}]`,
+  ].filter(Boolean).join('\n');
+  if (!markers) return text;
+  return text ? `${text}\n\n${markers}` : markers;
+};
+
+// Body for the task update endpoint from a board card
+export const buildTaskUpdate = (item) => ({
+  title: item.content,
+  notes: withNoteMarkers(item.notes, { columnId: item.columnMarker, labelIds: item.labels }),
+  due: item.due ?? null,
+});
+
+// Splits a task list into top-level tasks and their subtasks, keyed by parent id.
+// Subtasks whose parent is missing from the list are kept as top-level tasks.
+export const groupSubtasks = (tasks) => {
+  const ids = new Set(tasks.map((task) => task.id));
+  const subtasksByParent = new Map();
+  const topLevel = [];
+  tasks.forEach((task) => {
+    if (!task.parent || !ids.has(task.parent)) {
+      topLevel.push(task);
+      return;
+    }
+    const subtask = { id: task.id, title: task.title, status: task.status };
+    subtasksByParent.set(task.parent, [...(subtasksByParent.get(task.parent) ?? []), subtask]);
+  });
+  return { topLevel, subtasksByParent };
+};
+
+export const getSubtaskProgress = (subtasks = []) => ({
+  done: subtasks.filter((subtask) => subtask.status === 'completed').length,
+  total: subtasks.length,
+});
+
+const DUE_SOON_DAYS = 3;
+
+export const DUE_STATUS_LABELS = {
+  overdue: 'Overdue',
+  today: 'Due today',
+  soon: 'Due soon',
+};
+
+// 'overdue', 'today' or 'soon' (within DUE_SOON_DAYS) against today in the default
+// time zone; null for tasks without a due date or due later
+export const getDueStatus = (due, today = getZonedNow()) => {
+  if (!due) return null;
+  const dueDate = dueToYMD(due);
+  const todayYMD = toYMD(today);
+  if (dueDate < todayYMD) return 'overdue';
+  if (dueDate === todayYMD) return 'today';
+  return dueDate <= toYMD(addDays(today, DUE_SOON_DAYS)) ? 'soon' : null;
+};
+
+export const formatDueDate = (due) => parseYMD(dueToYMD(due)).toLocaleDateString([], {
+  month: 'short',
+  day: 'numeric',
+});
@@ -0,0 +1,171 @@
+// Time zone preferences and conversions. Calendar views work on "wall-clock" Dates:
+// local Date objects whose fields read as the time in the chosen zone, so the
+// day/hour arithmetic in calendarUtils keeps working whatever the browser's zone is.
+import { useEffect, useState } from 'react';
+
+const STORAGE_KEYS = {
+  DEFAULT: 'eventx_timezone',
+  SECONDARY: 'eventx_secondary_timezone',
+};
+
+// Used when the browser cannot list its zones (Intl.supportedValuesOf is missing)
+const FALLBACK_TIME_ZONES = [
+  'UTC',
+  'America/Los_Angeles',
+  'America/Denver',
+  'America/Chicago',
+  'America/New_York',
+  'America/Sao_Paulo',
+  'Europe/London',
+  'Europe/Berlin',
+  'Europe/Moscow',
+  'Africa/Cairo',
+  'Asia/Dubai',
+  'Asia/Kolkata',
+  'Asia/Singapore',
+  'Asia/Tokyo',
+  'Australia/Sydney',
+  'Pacific/Auckland',
+];
+
+export const getLocalTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const getTimeZoneOptions = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : FALLBACK_TIME_ZONES;
+  // Make sure the browser's own zone and UTC are always selectable
+  return [...new Set([getLocalTimeZone(), 'UTC', ...zones])].sort();
+};
+
+// Preferences are read for every event time shown, so keep them in memory
+const storedZones = new Map();
+
+const readStoredZone = (key) => {
+  if (!storedZones.has(key)) {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(key);
+    } catch {
+      // Storage unavailable; fall back to the defaults
+    }
+    storedZones.set(key, isValidTimeZone(stored) ? stored : null);
+  }
+  return storedZones.get(key);
+};
+
+const storeZone = (key, timeZone) => {
+  storedZones.set(key, timeZone || null);
+  try {
+    if (timeZone) {
+      localStorage.setItem(key, timeZone);
+    } else {
+      localStorage.removeItem(key);
+    }
+  } catch (e) {
+    console.error('Error saving time zone preference:', e);
+  }
+  window.dispatchEvent(new CustomEvent('timezone-changed'));
+};
+
+// Zone every event time is shown in, and new events are created in
+export const getDefaultTimeZone = () => readStoredZone(STORAGE_KEYS.DEFAULT) ?? getLocalTimeZone();
+
+// Optional extra zone shown next to event times; null when not set
+export const getSecondaryTimeZone = () => readStoredZone(STORAGE_KEYS.SECONDARY);
+
+export const setDefaultTimeZone = (timeZone) => storeZone(STORAGE_KEYS.DEFAULT, timeZone);
+
+export const setSecondaryTimeZone = (timeZone) => storeZone(STORAGE_KEYS.SECONDARY, timeZone);
+
+const readTimeZones = () => ({ timeZone: getDefaultTimeZone(), secondaryTimeZone: getSecondaryTimeZone() });
+
+// Current preferences; re-renders the caller when they change
+export const useTimeZones = () => {
+  const [zones, setZones] = useState(readTimeZones);
+
+  useEffect(() => {
+    const handleChange = () => setZones(readTimeZones());
+    window.addEventListener('timezone-changed', handleChange);
+    return () => window.removeEventListener('timezone-changed', handleChange);
+  }, []);
+
+  return zones;
+};
+
+const formatters = new Map();
+const getPartsFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Wall-clock Date for an instant as seen in `timeZone`
+export const toZonedTime = (date, timeZone = getDefaultTimeZone()) => {
+  const parts = {};
+  getPartsFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+};
+
+// Minutes `timeZone` is ahead of UTC at the given instant
+export const getTimeZoneOffset = (date, timeZone) => {
+  const wall = toZonedTime(date, timeZone);
+  const wallAsUTC = Date.UTC(
+    wall.getFullYear(), wall.getMonth(), wall.getDate(),
+    wall.getHours(), wall.getMinutes(), wall.getSeconds()
+  );
+  return Math.round((wallAsUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// Instant at which the wall-clock Date `wall` occurs in `timeZone`
+export const fromZonedTime = (wall, timeZone = getDefaultTimeZone()) => {
+  const wallAsUTC = Date.UTC(
+    wall.getFullYear(), wall.getMonth(), wall.getDate(),
+    wall.getHours(), wall.getMinutes(), wall.getSeconds()
+  );
+  // The offset at the guess may differ from the one at the answer around DST changes
+  const guess = wallAsUTC - getTimeZoneOffset(new Date(wallAsUTC), timeZone) * 60000;
+  return new Date(wallAsUTC - getTimeZoneOffset(new Date(guess), timeZone) * 60000);
+};
+
+// "Now" as a wall-clock Date in the default zone
+export const getZonedNow = () => toZonedTime(new Date());
+
+// Short zone name for labels, e.g. "PST" or "GMT+5:30"
+export const getTimeZoneAbbreviation = (timeZone, date = new Date()) => {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(date)
+    .find(({ type }) => type === 'timeZoneName');
+  return part?.value ?? timeZone;
+};
+
+// Time of an instant in another zone, e.g. "09:30 PM PST"
+export const formatTimeInZone = (date, timeZone) => date.toLocaleTimeString([], {
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: true,
+  timeZone,
+  timeZoneName: 'short',
+});
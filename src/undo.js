@@ -0,0 +1,59 @@
+// Destructive actions held back for a few seconds behind an "Undo" toast. The caller
+// hides the thing right away; `commit` only runs (and calls the backend) once the
+// toast runs out. When the page is closed first, `commitOnUnload` runs instead: it
+// has to hand the change to something that outlives the page, e.g. a keepalive
+// request (see sendKeepalive) or the task outbox.
+import { createElement } from 'react';
+import { toast } from 'react-toastify';
+import UndoToast from './UndoToast.jsx';
+
+export const UNDO_DELAY_MS = 5000;
+
+const deferred = new Map(); // key -> { commit, commitOnUnload, covers, timer, toastId }
+
+const runDeferred = (key, { unloading = false } = {}) => {
+  const action = deferred.get(key);
+  if (!action) return;
+  deferred.delete(key);
+  clearTimeout(action.timer);
+  toast.dismiss(action.toastId);
+  if (unloading) action.commitOnUnload();
+  else action.commit();
+};
+
+// Whether an action for `key` (e.g. the id of a card being deleted) is still waiting,
+// on its own or as part of an action that `covers` several keys
+export const hasDeferredAction = (key) => deferred.has(key)
+  || [...deferred.values()].some((action) => action.covers.includes(key));
+
+// Show `message` with an Undo button and run `commit` after the delay. Returns a
+// function that takes the action back, which returns false once it has run.
+export const deferAction = ({ key, covers = [], message, commit, commitOnUnload, undo, delayMs = UNDO_DELAY_MS }) => {
+  // A second action for the same thing replaces the first
+  runDeferred(key);
+
+  const action = { commit, commitOnUnload, covers, toastId: null, timer: null };
+  const cancel = () => {
+    if (deferred.get(key) !== action) return false;
+    deferred.delete(key);
+    clearTimeout(action.timer);
+    toast.dismiss(action.toastId);
+    undo?.();
+    return true;
+  };
+
+  action.toastId = toast(createElement(UndoToast, { message, onUndo: cancel }), {
+    autoClose: delayMs,
+    pauseOnHover: false,
+    pauseOnFocusLoss: false,
+    closeOnClick: false,
+  });
+  action.timer = setTimeout(() => runDeferred(key), delayMs);
+  deferred.set(key, action);
+  return cancel;
+};
+
+// Leaving the page can't wait for the toasts
+window.addEventListener('pagehide', () => {
+  [...deferred.keys()].forEach((key) => runDeferred(key, { unloading: true }));
+});